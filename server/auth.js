@@ -0,0 +1,50 @@
+const crypto = require('crypto');
+const { PublicKey } = require('@solana/web3.js');
+
+const CHALLENGE_TTL_MS = 5 * 60 * 1000;
+
+// One outstanding challenge per socket. The wallet signs the exact message
+// text with Phantom's signMessage; the nonce is single-use.
+const challenges = new Map();
+
+function createChallenge(socketId, walletAddress) {
+  const nonce = crypto.randomBytes(16).toString('hex');
+  const message = [
+    'Sign in to Zoot Games',
+    'Wallet: ' + walletAddress,
+    'Nonce: ' + nonce,
+    'Issued: ' + new Date().toISOString(),
+  ].join('\n');
+  challenges.set(socketId, { walletAddress, message, expiresAt: Date.now() + CHALLENGE_TTL_MS });
+  return message;
+}
+
+function verifyEd25519(walletAddress, message, signature) {
+  const key = crypto.createPublicKey({
+    key: { kty: 'OKP', crv: 'Ed25519', x: Buffer.from(new PublicKey(walletAddress).toBytes()).toString('base64url') },
+    format: 'jwk',
+  });
+  return crypto.verify(null, Buffer.from(message, 'utf8'), key, signature);
+}
+
+function verifyChallenge(socketId, walletAddress, signatureBase64) {
+  const challenge = challenges.get(socketId);
+  challenges.delete(socketId);
+  if (!challenge || challenge.expiresAt < Date.now()) return { ok: false, error: 'Sign-in challenge expired — try again' };
+  if (challenge.walletAddress !== walletAddress) return { ok: false, error: 'Signature is for a different wallet' };
+
+  const signature = Buffer.from(String(signatureBase64 || ''), 'base64');
+  if (signature.length !== 64) return { ok: false, error: 'Invalid wallet signature' };
+  try {
+    if (!verifyEd25519(walletAddress, challenge.message, signature)) return { ok: false, error: 'Invalid wallet signature' };
+  } catch (_) {
+    return { ok: false, error: 'Invalid wallet signature' };
+  }
+  return { ok: true };
+}
+
+function clearChallenge(socketId) {
+  challenges.delete(socketId);
+}
+
+module.exports = { createChallenge, verifyChallenge, clearChallenge };
@@ -0,0 +1,31 @@
+const MAN = 100;
+const KING = 160;
+
+module.exports = {
+  gameType: 'checkers',
+  depth: { easy: 1, medium: 3, hard: 5 },
+
+  // Each hop of a multi-jump is an action of its own.
+  actions(game) {
+    const actions = [];
+    const moves = game._legalMoves();
+    for (const from of Object.keys(moves)) {
+      for (const to of moves[from]) actions.push({ type: 'move', from: Number(from), to });
+    }
+    return actions;
+  },
+
+  // Material, plus a little for men nearer to being crowned. Pieces taken
+  // in a jump still in progress are already counted as gone.
+  evaluate(game, seat) {
+    let score = 0;
+    game.board.forEach((p, sq) => {
+      if (!p || game.pendingCaptures.includes(sq)) return;
+      const row = Math.floor(sq / game.size);
+      const advance = p.player === 0 ? game.size - 1 - row : row;
+      const value = p.king ? KING : MAN + 3 * advance;
+      score += p.player === seat ? value : -value;
+    });
+    return score;
+  },
+};
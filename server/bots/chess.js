@@ -0,0 +1,55 @@
+const VALUES = { P: 100, N: 320, B: 330, R: 500, Q: 900, K: 0 };
+
+// How far a square is from the edge, 0 on the rim to 3 in the middle.
+function centrality(sq) {
+  const r = Math.floor(sq / 8), c = sq % 8;
+  return Math.min(r, 7 - r, c, 7 - c);
+}
+
+module.exports = {
+  gameType: 'chess',
+  depth: { easy: 1, medium: 2, hard: 3 },
+
+  // Searched copies leave the move list and clocks behind; neither changes
+  // which moves are legal.
+  clone(game) {
+    return Object.assign(new game.constructor(), {
+      ...game,
+      board: game.board.map((p) => (p ? { ...p } : null)),
+      castlingRights: { 0: { ...game.castlingRights[0] }, 1: { ...game.castlingRights[1] } },
+      positionCounts: { ...game.positionCounts },
+      clocks: [Infinity, Infinity],
+      moveHistory: [],
+      log: [],
+    });
+  },
+
+  // Captures first, biggest victim first, so the pruning bites early.
+  actions(game) {
+    const actions = [];
+    const moves = game._allLegalMoves();
+    for (const from of Object.keys(moves)) {
+      const piece = game.board[from];
+      for (const to of moves[from]) {
+        const promotes = piece.type === 'P' && (to < 8 || to >= 56);
+        const victim = game.board[to] && game.board[to].player !== piece.player ? VALUES[game.board[to].type] : 0;
+        actions.push({ action: { type: 'move', from: Number(from), to, ...(promotes ? { promotion: 'Q' } : {}) }, order: victim + (promotes ? 800 : 0) });
+      }
+    }
+    return actions.sort((a, b) => b.order - a.order).map(({ action }) => action);
+  },
+
+  // Material, plus a little for pawns that have advanced and minor pieces
+  // that stand off the rim.
+  evaluate(game, seat) {
+    let score = 0;
+    game.board.forEach((p, sq) => {
+      if (!p) return;
+      let value = VALUES[p.type];
+      if (p.type === 'P') value += 6 * (p.player === 0 ? 6 - Math.floor(sq / 8) : Math.floor(sq / 8) - 1);
+      if (p.type === 'N' || p.type === 'B') value += 8 * centrality(sq);
+      score += p.player === seat ? value : -value;
+    });
+    return score;
+  },
+};
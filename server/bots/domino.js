@@ -0,0 +1,72 @@
+// Domino hands are hidden, so this bot plays from its own seat's view only,
+// by rule of thumb rather than search:
+//
+//   easy    any tile that fits
+//   medium  the heaviest tile, to be caught with fewer pips
+//   hard    as medium, plus All Fives points on offer, doubles (harder to
+//           place later) and ends it still holds tiles for
+module.exports = {
+  gameType: 'domino',
+
+  choose(game, seat, level) {
+    const state = game.getStateForPlayer(seat);
+    if (!state.isMyTurn) return null;
+
+    const plays = [];
+    state.hand.forEach((tile, tileIndex) => {
+      if (!state.board.length) {
+        plays.push({ tileIndex, side: 'right' });
+        return;
+      }
+      if (tile.includes(state.boardLeft)) plays.push({ tileIndex, side: 'left' });
+      if (tile.includes(state.boardRight) && state.boardRight !== state.boardLeft) plays.push({ tileIndex, side: 'right' });
+    });
+    if (!plays.length) return { type: state.canDraw ? 'auto_draw' : 'pass' };
+
+    const score = ({ tileIndex, side }) => {
+      const tile = state.hand[tileIndex];
+      let value = tile[0] + tile[1];
+      if (level !== 'hard') return value;
+      if (tile[0] === tile[1]) value += 4;
+      const ends = endsAfter(state, tile, side);
+      if (state.variant === 'allfives') {
+        const count = openEndCount(ends);
+        if (count > 0 && count % 5 === 0) value += 3 * count;
+      }
+      const rest = state.hand.filter((_, i) => i !== tileIndex);
+      value += 2 * rest.filter((t) => t.includes(ends.left) || t.includes(ends.right)).length;
+      return value;
+    };
+
+    if (level === 'easy') return { type: 'play', ...plays[Math.floor(Math.random() * plays.length)] };
+    const best = Math.max(...plays.map(score));
+    const top = plays.filter((play) => score(play) === best);
+    return { type: 'play', ...top[Math.floor(Math.random() * top.length)] };
+  },
+};
+
+// The end tiles once `tile` is laid on `side`, each with the number left
+// open and whether it is a double.
+function endsAfter(state, tile, side) {
+  const double = tile[0] === tile[1];
+  if (!state.board.length) return { left: tile[0], right: tile[1], leftDouble: double, rightDouble: double, single: true, tile };
+  const first = state.board[0], last = state.board[state.board.length - 1];
+  const ends = {
+    left: state.boardLeft, right: state.boardRight,
+    leftDouble: first[0] === first[1], rightDouble: last[0] === last[1],
+  };
+  if (side === 'left') {
+    ends.left = tile[0] === state.boardLeft ? tile[1] : tile[0];
+    ends.leftDouble = double;
+  } else {
+    ends.right = tile[0] === state.boardRight ? tile[1] : tile[0];
+    ends.rightDouble = double;
+  }
+  return ends;
+}
+
+// See DominoGame._openEndCount.
+function openEndCount(ends) {
+  if (ends.single) return ends.tile[0] + ends.tile[1];
+  return (ends.leftDouble ? ends.left * 2 : ends.left) + (ends.rightDouble ? ends.right * 2 : ends.right);
+}
@@ -0,0 +1,76 @@
+const fs = require('fs');
+const path = require('path');
+const { bestAction } = require('./search');
+
+// Practice opponents. A bot sits in an ordinary room seat and plays through
+// the same handleAction calls a player's socket would make.
+//
+// Each module in this directory names the gameType it plays and either
+// decides by rule of thumb (choose) or lets search.js pick from its actions
+// and evaluate. A module with both may use choose for the parts of a game
+// that search does not suit and return null to fall through to the search.
+//
+// Levels differ in how far ahead the bot looks and how often it plays a
+// random move instead of the best one. Whatever the level, a search gives
+// up after maxMs so one bot move never holds up every other room for long.
+const LEVELS = {
+  easy: { blunder: 0.3, maxNodes: 1000, maxMs: 50 },
+  medium: { blunder: 0.1, maxNodes: 3000, maxMs: 100 },
+  hard: { blunder: 0, maxNodes: 6000, maxMs: 150 },
+};
+
+// A bot offered a draw takes it once it is this far behind (two pawns,
+// men or seeds) and turns it down otherwise.
+const ACCEPT_DRAW_BELOW = -200;
+
+const bots = new Map();
+
+for (const file of fs.readdirSync(__dirname).sort()) {
+  if (!file.endsWith('.js') || ['index.js', 'search.js', 'lines.js'].includes(file)) continue;
+  const bot = require(path.join(__dirname, file));
+  if (bot && bot.gameType) bots.set(bot.gameType, bot);
+}
+
+function has(gameType) {
+  return bots.has(gameType);
+}
+
+function isLevel(level) {
+  return Object.prototype.hasOwnProperty.call(LEVELS, level);
+}
+
+function displayName(level) {
+  return 'Bot (' + level + ')';
+}
+
+// Whether the bot at `seat` has something to do: its turn, or a draw offer
+// from the other side to answer.
+function wantsToAct(game, seat) {
+  if (game.gameOver) return false;
+  if (game.drawOffer !== null && game.drawOffer !== undefined && game.teams[game.drawOffer] !== game.teams[seat]) return true;
+  return !game.roundOver && game.currentPlayer === seat;
+}
+
+// The action the bot at `seat` plays now, or null if it has none.
+function chooseAction(game, seat, level) {
+  const bot = bots.get(game.meta.id);
+  const { blunder, maxNodes, maxMs } = LEVELS[level];
+
+  if (game.drawOffer !== null && game.drawOffer !== undefined && game.teams[game.drawOffer] !== game.teams[seat]) {
+    return { type: bot.evaluate && bot.evaluate(game, seat) <= ACCEPT_DRAW_BELOW ? 'accept_draw' : 'decline_draw' };
+  }
+  if (game.currentPlayer !== seat) return null;
+
+  if (bot.choose) {
+    const action = bot.choose(game, seat, level);
+    if (action || !bot.actions) return action;
+  }
+  if (Math.random() < blunder) {
+    const actions = bot.actions(game);
+    if (actions.length) return actions[Math.floor(Math.random() * actions.length)];
+  }
+  const depth = typeof bot.depth === 'function' ? bot.depth(game, level) : bot.depth[level];
+  return bestAction(bot, game, seat, depth, maxNodes, maxMs);
+}
+
+module.exports = { LEVELS, has, isLevel, displayName, wantsToAct, chooseAction };
@@ -0,0 +1,79 @@
+// Line scoring for the k-in-a-row games. A window is any `length` cells in a
+// straight line; one that holds stones of a single colour is a line that
+// colour can still complete, and is worth more the fuller it is.
+
+const DIRECTIONS = [[0, 1], [1, 0], [1, 1], [1, -1]];
+const cache = new Map();
+
+// Every window on a size x size board, plus the windows through each cell.
+function lineWindows(size, length) {
+  const key = size + 'x' + length;
+  if (cache.has(key)) return cache.get(key);
+  const windows = [];
+  const byCell = Array.from({ length: size * size }, () => []);
+  for (let r = 0; r < size; r++) {
+    for (let c = 0; c < size; c++) {
+      for (const [dr, dc] of DIRECTIONS) {
+        const er = r + dr * (length - 1), ec = c + dc * (length - 1);
+        if (er < 0 || er >= size || ec < 0 || ec >= size) continue;
+        const cells = [];
+        for (let k = 0; k < length; k++) cells.push((r + dr * k) * size + c + dc * k);
+        cells.forEach((cell) => byCell[cell].push(windows.length));
+        windows.push(cells);
+      }
+    }
+  }
+  const built = { windows, byCell };
+  cache.set(key, built);
+  return built;
+}
+
+// 8^n for a window holding n stones of one colour.
+function weight(count) {
+  return count ? 8 ** (count - 1) : 0;
+}
+
+// Stones of each colour in a window, or null when something that is
+// neither (a drawn small board in Ultimate) blocks it for both.
+function countWindow(board, cells, mine, theirs) {
+  let own = 0, other = 0;
+  for (const cell of cells) {
+    const v = board[cell];
+    if (v === null) continue;
+    if (v === mine) own++;
+    else if (v === theirs) other++;
+    else return null;
+  }
+  return [own, other];
+}
+
+// Open lines for `mine` less open lines for `theirs`.
+function scoreBoard(board, windows, mine, theirs) {
+  let score = 0;
+  for (const cells of windows) {
+    const counts = countWindow(board, cells, mine, theirs);
+    if (!counts) continue;
+    const [own, other] = counts;
+    if (own && !other) score += weight(own);
+    else if (other && !own) score -= weight(other);
+  }
+  return score;
+}
+
+// How much an empty cell matters to either colour: the lines a stone there
+// would extend, for attack and for defence. Empty lines count a little, so
+// open space beats a crowded edge.
+function cellUrgency(board, lines, cell, mine, theirs) {
+  let urgency = 0;
+  for (const w of lines.byCell[cell]) {
+    const counts = countWindow(board, lines.windows[w], mine, theirs);
+    if (!counts) continue;
+    const [own, other] = counts;
+    if (own && !other) urgency += weight(own + 1);
+    else if (other && !own) urgency += weight(other + 1);
+    else if (!own) urgency += 1;
+  }
+  return urgency;
+}
+
+module.exports = { lineWindows, scoreBoard, cellUrgency };
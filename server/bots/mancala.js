@@ -0,0 +1,17 @@
+const SEED = 100;
+
+module.exports = {
+  gameType: 'mancala',
+  depth: { easy: 1, medium: 4, hard: 7 },
+
+  actions(game) {
+    return game._legalPits(game.currentPlayer).map((pit) => ({ type: 'sow', pit }));
+  },
+
+  // Stored seeds, plus a little for seeds still on your own side.
+  evaluate(game, seat) {
+    const store = (p) => game.pits[game._store(p)];
+    const onSide = game._sideTotal(game.pits, seat) - game._sideTotal(game.pits, 1 - seat);
+    return SEED * (store(seat) - store(1 - seat)) + 10 * onSide;
+  },
+};
@@ -0,0 +1,65 @@
+const { lineWindows, scoreBoard, cellUrgency } = require('./lines');
+
+const BLACK = 0;
+// Cells searched on each ply, most urgent first.
+const CANDIDATES = 12;
+
+function lines(game) {
+  return lineWindows(game.size, game.winLength);
+}
+
+// Empty cells next to a stone, or the centre of an empty board.
+function nearbyCells(game) {
+  const { size, board } = game;
+  const center = Math.floor(size / 2) * size + Math.floor(size / 2);
+  if (board[center] === null && board.every((v) => v === null)) return [center];
+  const cells = [];
+  for (let i = 0; i < board.length; i++) {
+    if (board[i] !== null) continue;
+    const r = Math.floor(i / size), c = i % size;
+    let near = false;
+    for (let dr = -1; dr <= 1 && !near; dr++) {
+      for (let dc = -1; dc <= 1 && !near; dc++) {
+        const idx = game._cellAt(r + dr, c + dc);
+        if (idx !== -1 && board[idx] !== null) near = true;
+      }
+    }
+    if (near) cells.push(i);
+  }
+  return cells;
+}
+
+module.exports = {
+  gameType: 'morpion',
+  depth: { easy: 1, medium: 2, hard: 3 },
+
+  // The opening phases come before anyone owns a colour, so they are played
+  // by rule rather than searched: stones near the centre, then whichever
+  // colour the board favours.
+  choose(game, seat) {
+    if (game.phase === 'choose') {
+      const toMove = game._nextColor();
+      const score = (color) => scoreBoard(game.board, lines(game).windows, color, 1 - color) + (color === toMove ? 8 : 0);
+      return { type: 'choose_color', color: score(BLACK) >= score(1 - BLACK) ? 'black' : 'white' };
+    }
+    if (game.phase === 'open' || game.phase === 'extra') {
+      const cells = nearbyCells(game);
+      return { type: 'place', cell: cells[Math.floor(Math.random() * cells.length)] };
+    }
+    return null;
+  },
+
+  actions(game) {
+    const mine = game._nextColor();
+    return nearbyCells(game)
+      .map((cell) => ({ cell, urgency: cellUrgency(game.board, lines(game), cell, mine, 1 - mine) }))
+      .sort((a, b) => b.urgency - a.urgency)
+      .slice(0, CANDIDATES)
+      .map(({ cell }) => ({ type: 'place', cell }));
+  },
+
+  evaluate(game, seat) {
+    const mine = game.colors[seat];
+    return scoreBoard(game.board, lines(game).windows, mine, 1 - mine);
+  },
+};
@@ -0,0 +1,100 @@
+// Depth-limited minimax with alpha-beta pruning, shared by the bots of the
+// perfect-information games. Scores are always from `seat`'s side, so a
+// player who moves twice in a row (a Kalah extra turn, a checkers multi-jump)
+// needs no special handling: the search maximises on every ply where a seat
+// of that side is to move and minimises on the others.
+//
+// A bot module supplies:
+//
+//   actions(game)         legal actions for game.currentPlayer, best first
+//   evaluate(game, seat)  static score, about 100 per pawn / man / seed
+//   clone(game)           optional; a copy safe to play moves on
+//
+// Moves are tried on copies through the engine's own handleAction, so the
+// bots can never disagree with the rules.
+
+const WIN_SCORE = 1000000;
+
+function cloneGame(game) {
+  return game.constructor.restore(structuredClone({ ...game, log: [] }));
+}
+
+function sameSide(game, a, b) {
+  return game.teams[a] === game.teams[b];
+}
+
+function play(bot, game, action) {
+  const child = bot.clone ? bot.clone(game) : cloneGame(game);
+  const result = child.handleAction(child.currentPlayer, action);
+  return result.error ? null : child;
+}
+
+// Quicker wins and slower losses score better.
+function terminalScore(game, seat, depth) {
+  if (game.winner === null) return 0;
+  return sameSide(game, game.winner, seat) ? WIN_SCORE + depth : -WIN_SCORE - depth;
+}
+
+// The search runs on the server's only thread, so it stops at whichever
+// comes first: its node count or its deadline.
+function spent(budget) {
+  return budget.nodes <= 0 || Date.now() >= budget.deadline;
+}
+
+function minimax(bot, game, seat, depth, alpha, beta, budget) {
+  if (game.gameOver) return terminalScore(game, seat, depth);
+  if (depth === 0 || spent(budget)) return bot.evaluate(game, seat);
+
+  const maximizing = sameSide(game, game.currentPlayer, seat);
+  let best = maximizing ? -Infinity : Infinity;
+  for (const action of bot.actions(game)) {
+    const child = play(bot, game, action);
+    if (!child) continue;
+    budget.nodes--;
+    const score = minimax(bot, child, seat, depth - 1, alpha, beta, budget);
+    if (maximizing) {
+      best = Math.max(best, score);
+      alpha = Math.max(alpha, score);
+    } else {
+      best = Math.min(best, score);
+      beta = Math.min(beta, score);
+    }
+    if (alpha >= beta) break;
+  }
+  return Number.isFinite(best) ? best : bot.evaluate(game, seat);
+}
+
+// The best action for `seat` to play now, or null if it has none. The
+// search deepens one ply at a time and keeps the deepest result it finished
+// within `maxNodes` and `maxMs`. Equal scores are broken at random so the bot does not
+// replay the same game.
+function bestAction(bot, game, seat, depth, maxNodes, maxMs) {
+  const children = [];
+  for (const action of bot.actions(game)) {
+    const child = play(bot, game, action);
+    if (child) children.push({ action, child });
+  }
+  if (!children.length) return null;
+
+  const budget = { nodes: maxNodes, deadline: Date.now() + maxMs };
+  let choice = children;
+  for (let d = 1; d <= depth; d++) {
+    let best = [];
+    let bestScore = -Infinity;
+    for (const { action, child } of children) {
+      const score = minimax(bot, child, seat, d - 1, -Infinity, Infinity, budget);
+      if (score > bestScore) {
+        bestScore = score;
+        best = [{ action, child }];
+      } else if (score === bestScore) {
+        best.push({ action, child });
+      }
+    }
+    if (spent(budget) && d > 1) break;
+    choice = best;
+    if (Math.abs(bestScore) >= WIN_SCORE) break;
+  }
+  return choice[Math.floor(Math.random() * choice.length)].action;
+}
+
+module.exports = { WIN_SCORE, cloneGame, bestAction };
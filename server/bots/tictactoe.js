@@ -0,0 +1,39 @@
+const { lineWindows, scoreBoard, cellUrgency } = require('./lines');
+
+// Wider boards are searched among their most urgent cells only.
+const WIDE_CANDIDATES = 10;
+// A small board taken is worth this many open lines inside one.
+const SUB_BOARD_WEIGHT = 50;
+
+const smallLines = lineWindows(3, 3).windows;
+
+module.exports = {
+  gameType: 'tictactoe',
+
+  // Four plies is as far as the hard level's node budget reaches from an
+  // empty board, even on the classic one.
+  depth: { easy: 1, medium: 2, hard: 4 },
+
+  actions(game) {
+    const cells = game._legalCells();
+    if (game.ultimate || game.size === 3) return cells.map((cell) => ({ type: 'place', cell }));
+    const lines = lineWindows(game.size, game.winLength);
+    const mover = game.currentPlayer;
+    return cells
+      .map((cell) => ({ cell, urgency: cellUrgency(game.board, lines, cell, mover, 1 - mover) }))
+      .sort((a, b) => b.urgency - a.urgency)
+      .slice(0, WIDE_CANDIDATES)
+      .map(({ cell }) => ({ type: 'place', cell }));
+  },
+
+  evaluate(game, seat) {
+    if (!game.ultimate) return scoreBoard(game.board, lineWindows(game.size, game.winLength).windows, seat, 1 - seat);
+    let score = SUB_BOARD_WEIGHT * scoreBoard(game.subResults, smallLines, seat, 1 - seat);
+    for (let sub = 0; sub < 9; sub++) {
+      if (game.subResults[sub] !== null) continue;
+      const small = game._subCells(sub).map((cell) => game.board[cell]);
+      score += scoreBoard(small, smallLines, seat, 1 - seat);
+    }
+    return score;
+  },
+};
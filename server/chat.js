@@ -0,0 +1,69 @@
+const MAX_LENGTH = 200;
+const MAX_MESSAGES_PER_ROOM = 500;
+const RATE_WINDOW_MS = 10000;
+const RATE_MAX_MESSAGES = 5;
+
+const EMOTES = {
+  gl: 'Good luck!',
+  gg: 'gg',
+  nice: 'Nice move!',
+  wow: 'Wow!',
+  oops: 'Oops!',
+  thanks: 'Thanks!',
+};
+
+const BLOCKED_WORDS = [
+  'fuck', 'shit', 'bitch', 'cunt', 'dick', 'pussy', 'asshole', 'bastard',
+  'nigger', 'nigga', 'faggot', 'retard', 'whore', 'slut',
+];
+const BLOCKED_RE = new RegExp('\\b(' + BLOCKED_WORDS.join('|') + ')\\w*', 'gi');
+
+// Sliding window of recent send times per socket.
+const history = new Map();
+
+function allow(socketId) {
+  const now = Date.now();
+  const recent = (history.get(socketId) || []).filter((t) => now - t < RATE_WINDOW_MS);
+  if (recent.length >= RATE_MAX_MESSAGES) {
+    history.set(socketId, recent);
+    return false;
+  }
+  recent.push(now);
+  history.set(socketId, recent);
+  return true;
+}
+
+function forget(socketId) {
+  history.delete(socketId);
+}
+
+function clean(text) {
+  return text.replace(BLOCKED_RE, (word) => word[0] + '*'.repeat(word.length - 1));
+}
+
+// Turns a chat_send payload into a message, or { error }. The raw text is
+// kept on the record for dispute review; only `text` is shown to players.
+function buildMessage(seat, from, { text, emote } = {}) {
+  if (emote !== undefined) {
+    if (!EMOTES[emote]) return { error: 'Unknown emote' };
+    return { message: { seat, from, emote, text: EMOTES[emote], at: Date.now() } };
+  }
+  const raw = String(text || '').replace(/\s+/g, ' ').trim().slice(0, MAX_LENGTH);
+  if (!raw) return { error: 'Message is empty' };
+  const shown = clean(raw);
+  const message = { seat, from, text: shown, at: Date.now() };
+  if (shown !== raw) message.raw = raw;
+  return { message };
+}
+
+function append(room, message) {
+  room.chat.push(message);
+  if (room.chat.length > MAX_MESSAGES_PER_ROOM) room.chat.shift();
+}
+
+// What players receive: never the unfiltered text.
+function publicView({ seat, from, text, emote, at }) {
+  return { seat, from, text, emote: emote || null, at };
+}
+
+module.exports = { EMOTES, allow, forget, clean, buildMessage, append, publicView };
@@ -0,0 +1,39 @@
+const crypto = require('crypto');
+const { newSeed } = require('./rng');
+
+// Commit-reveal for every random draw in a match:
+//
+//   1. At game start the server picks a secret serverSeed and publishes
+//      serverSeedHash = sha256(serverSeed).
+//   2. Each player answers with a client seed of their own choosing.
+//   3. The game seed is hmac_sha256(key = serverSeed, clientSeeds.join(':'))
+//      and drives the engine's PRNG (see rng.js).
+//   4. serverSeed is revealed at game over, so anyone can recompute the seed
+//      and replay the shuffle and turn order.
+//
+// Neither side can steer the outcome: the server is bound by its hash before
+// seeing the client seeds, and the clients never see the server seed.
+const CLIENT_SEED_RE = /^[A-Za-z0-9_-]{1,64}$/;
+
+function sha256(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+function createCommitment(seats) {
+  const serverSeed = newSeed();
+  return { serverSeed, serverSeedHash: sha256(serverSeed), clientSeeds: Array(seats).fill(null) };
+}
+
+function isValidClientSeed(seed) {
+  return typeof seed === 'string' && CLIENT_SEED_RE.test(seed);
+}
+
+function deriveSeed(serverSeed, clientSeeds) {
+  return crypto.createHmac('sha256', serverSeed).update(clientSeeds.join(':')).digest('hex');
+}
+
+function verify({ serverSeed, serverSeedHash, clientSeeds, seed }) {
+  return sha256(serverSeed) === serverSeedHash && deriveSeed(serverSeed, clientSeeds) === seed;
+}
+
+module.exports = { createCommitment, isValidClientSeed, deriveSeed, verify };
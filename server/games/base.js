@@ -0,0 +1,303 @@
+const { randomAt, newSeed } = require('../rng');
+
+// Every engine extends BaseGame and declares a static `meta`:
+//
+//   id          key used by the server, queue and client ('chess')
+//   name, icon  lobby label and emoji
+//   players     { min, max } seats per room; seatCount(options) picks the
+//               number for a given set of options (min unless overridden)
+//   turnTimeMs  per-turn limit shown to players, or null for no timer
+//   timeoutPolicy  { consecutive, total }: a seat whose turns run out that
+//               many times in a row, or that many times in all, forfeits
+//               (see _missTurn); omit it to auto-move forever
+//   playsOn     true if, with three or more sides, the others play on when
+//               one resigns or forfeits (see _resign); otherwise that ends
+//               the game
+//   options     option schema: { key: { values: [...], default } }
+//
+// Subclasses implement init, _applyAction, autoPlayForTimeout and
+// getStateForPlayer (plus getSpectatorState when a player's view holds
+// secrets); resign, draw offers, turn bookkeeping and (de)serialisation are
+// shared here.
+//
+// Every seat is its own side unless an engine overrides teams(); a side
+// wins, resigns and forfeits as one, and a win is shared across its seats.
+//
+// The server starts a game with setup(), which seeds the RNG and opens the
+// action log. Engines must draw randomness from this.random() only, so the
+// seed plus the log replays a match exactly.
+
+// Games currently inside a timeout auto-move; the handleAction calls it
+// makes are covered by the single timeout entry.
+const autoPlaying = new WeakSet();
+
+// Actions that answer or make a draw offer without ending the turn, so
+// they do not count as showing up for it either.
+const DRAW_ACTIONS = new Set(['offer_draw', 'accept_draw', 'decline_draw']);
+
+class BaseGame {
+  static meta = {
+    id: null, name: null, icon: null,
+    players: { min: 2, max: 2 },
+    turnTimeMs: null,
+    timeoutPolicy: null,
+    options: {},
+  };
+
+  static seatCount(options = {}) {
+    return this.meta.players.min;
+  }
+
+  // Side number for each seat.
+  static teams(numPlayers, options = {}) {
+    return Array.from({ length: numPlayers }, (_, seat) => seat);
+  }
+
+  constructor() {
+    this.numPlayers = 2;
+    this.teams = [0, 1];
+    this.currentPlayer = 0;
+    this.gameOver = false;
+    this.winner = null;
+    this.turnStartTime = Date.now();
+    this.seed = null;
+    this.rngCounter = 0;
+    this.log = [];
+    this.drawOffer = null;
+    this.drawOfferPly = [-1, -1];
+    this.missedTurns = [];
+    this.missedTotals = [];
+    this.out = [];
+  }
+
+  get meta() {
+    return this.constructor.meta;
+  }
+
+  setup(numPlayers, options = {}, seed = newSeed()) {
+    this.seed = seed;
+    this.numPlayers = numPlayers;
+    this.teams = this.constructor.teams(numPlayers, options);
+    this.rngCounter = 0;
+    this.log = [];
+    this.drawOffer = null;
+    this.drawOfferPly = [-1, -1];
+    this.missedTurns = Array(numPlayers).fill(0);
+    this.missedTotals = Array(numPlayers).fill(0);
+    this.out = [];
+    this.init(numPlayers, options);
+  }
+
+  init(numPlayers, options = {}) {
+    throw new Error(`${this.constructor.name} must implement init()`);
+  }
+
+  random() {
+    if (this.seed === null) this.seed = newSeed();
+    return randomAt(this.seed, this.rngCounter++);
+  }
+
+  handleAction(playerIndex, action) {
+    if (this.gameOver) return { error: 'Game is over' };
+    if (!action || typeof action !== 'object') return { error: 'Invalid action' };
+    if (this.out.includes(playerIndex)) return { error: 'You are out of this game' };
+    const result = action.type === 'resign' ? this._resign(playerIndex) : this._applyAction(playerIndex, action);
+    if (!result.error && !autoPlaying.has(this)) {
+      this._record(playerIndex, action);
+      if (!DRAW_ACTIONS.has(action.type)) this.missedTurns[playerIndex] = 0;
+    }
+    return result;
+  }
+
+  // Server-side move when a turn runs out, or a forfeit once the seat has
+  // run out of turns too often.
+  timeout(playerIndex) {
+    const result = this._missTurn(playerIndex) || this._autoPlay(playerIndex);
+    if (result && !result.error) this._record(playerIndex, { type: 'timeout' });
+    return result;
+  }
+
+  // The move a timed-out player would get, played for a seat that did not
+  // run out of time (a bot with no move of its own), so nothing is counted
+  // against the timeout policy.
+  autoMove(playerIndex) {
+    const result = this._autoPlay(playerIndex);
+    if (result && !result.error) this._record(playerIndex, { type: 'auto_move' });
+    return result;
+  }
+
+  _autoPlay(playerIndex) {
+    autoPlaying.add(this);
+    try {
+      return this.autoPlayForTimeout(playerIndex);
+    } finally {
+      autoPlaying.delete(this);
+    }
+  }
+
+  // Counts a turn that ran out. When that reaches a limit of the game's
+  // timeoutPolicy the seat's side forfeits, as if it had resigned; any
+  // action of the seat's own other than a draw offer or answer starts the
+  // run of missed turns over.
+  _missTurn(playerIndex) {
+    this.missedTurns[playerIndex] = (this.missedTurns[playerIndex] || 0) + 1;
+    this.missedTotals[playerIndex] = (this.missedTotals[playerIndex] || 0) + 1;
+    const policy = this.meta.timeoutPolicy;
+    if (!policy) return null;
+    let reason = null;
+    if (policy.consecutive && this.missedTurns[playerIndex] >= policy.consecutive) {
+      reason = `Abandoned after ${policy.consecutive} timed-out turns in a row`;
+    } else if (policy.total && this.missedTotals[playerIndex] >= policy.total) {
+      reason = `Abandoned after ${policy.total} timed-out turns`;
+    }
+    if (!reason) return null;
+    const { resigned, ...forfeit } = this._resign(playerIndex);
+    return { ...forfeit, abandoned: playerIndex, reason };
+  }
+
+  // A seat whose player is gone for good (the server gave up waiting for
+  // them to reconnect) forfeits for its side, as if it had resigned.
+  leave(playerIndex) {
+    const result = this._resign(playerIndex);
+    this._record(playerIndex, { type: 'leave' });
+    return result;
+  }
+
+  // Re-applies one log entry the way it was applied live.
+  applyLogEntry({ seat, action }) {
+    if (action.type === 'timeout') return this.timeout(seat);
+    if (action.type === 'auto_move') return this.autoMove(seat);
+    if (action.type === 'leave') return this.leave(seat);
+    return this.handleAction(seat, action);
+  }
+
+  _record(seat, action) {
+    this.log.push({ seat, action: JSON.parse(JSON.stringify(action)), at: Date.now() });
+  }
+
+  _applyAction(playerIndex, action) {
+    return { error: 'Invalid action' };
+  }
+
+  // Resigning concedes for the whole side. If the game plays on without it
+  // the side is out (result.out lists its seats) and its stake stays in the
+  // pot; otherwise every seat still in shares the win.
+  _resign(playerIndex) {
+    const side = this.winningSeats(playerIndex);
+    if (this.playsOnWithout(playerIndex)) {
+      this.out.push(...side);
+      this._seatsOut(side);
+      return { gameOver: false, out: side, resigned: true };
+    }
+    const winners = this.activeSeats().filter((idx) => !side.includes(idx));
+    this.gameOver = true;
+    this.winner = winners[0];
+    return { gameOver: true, winner: this.winner, winners, resigned: true };
+  }
+
+  // Whether the game carries on if `seat`'s side leaves it: the engine
+  // allows it and at least two other sides are still in.
+  playsOnWithout(seat) {
+    if (!this.meta.playsOn) return false;
+    const others = this.activeSeats().filter((idx) => this.teams[idx] !== this.teams[seat]);
+    return new Set(others.map((idx) => this.teams[idx])).size > 1;
+  }
+
+  // Seats that have not resigned or forfeited.
+  activeSeats() {
+    return this.teams.flatMap((team, idx) => (this.out.includes(idx) ? [] : [idx]));
+  }
+
+  // Engines with meta.playsOn take the seats out of play here: their turns
+  // are skipped from now on.
+  _seatsOut(seats) {}
+
+  // Seats sharing a win credited to `seat`.
+  winningSeats(seat) {
+    if (seat === null) return [];
+    return this.teams.flatMap((team, idx) => (team === this.teams[seat] ? [idx] : []));
+  }
+
+  opposingSeats(seat) {
+    return this.teams.flatMap((team, idx) => (team === this.teams[seat] ? [] : [idx]));
+  }
+
+  // Mutual draws, for engines that pass offer_draw / accept_draw /
+  // decline_draw through here; returns null for any other action. An offer
+  // stands until the opponent answers it or moves (see _lapseDrawOffer),
+  // and a player may offer again only once they have moved. `ply` is the
+  // engine's count of moves made so far.
+  _drawAction(playerIndex, type, ply) {
+    switch (type) {
+      case 'offer_draw':
+        if (this.drawOffer === playerIndex) return { error: 'Draw already offered' };
+        if (this.drawOffer !== null) return { error: 'Your opponent has offered a draw' };
+        if (this.drawOfferPly[playerIndex] === ply) return { error: 'Make a move before offering again' };
+        this.drawOffer = playerIndex;
+        this.drawOfferPly[playerIndex] = ply;
+        return { gameOver: false, drawOffered: playerIndex };
+      case 'accept_draw':
+      case 'decline_draw':
+        if (this.drawOffer === null || this.drawOffer === playerIndex) return { error: 'No draw offer to answer' };
+        this.drawOffer = null;
+        if (type === 'decline_draw') return { gameOver: false, drawDeclined: true };
+        this.gameOver = true;
+        this.winner = null;
+        return { gameOver: true, winner: null, reason: 'Draw agreed' };
+      default:
+        return null;
+    }
+  }
+
+  // Moving instead of answering turns an offer down.
+  _lapseDrawOffer(mover) {
+    if (this.drawOffer !== null && this.drawOffer !== mover) this.drawOffer = null;
+  }
+
+  autoPlayForTimeout(playerIndex) {
+    return null;
+  }
+
+  getStateForPlayer(playerIndex) {
+    throw new Error(`${this.constructor.name} must implement getStateForPlayer()`);
+  }
+
+  // What an observer sees: seat 0's perspective (the client UIs lay the
+  // board out around playerIndex) with nothing actionable. Engines with
+  // hidden information override it.
+  getSpectatorState() {
+    return { ...this.getStateForPlayer(0), playerIndex: 0, isMyTurn: false, spectator: true };
+  }
+
+  // How long the current player has left to move, or null when turns are
+  // untimed. The server arms its timeout from this.
+  timeLeftMs() {
+    const turnTimeMs = this.meta.turnTimeMs;
+    if (!turnTimeMs) return null;
+    return Math.max(0, turnTimeMs - (Date.now() - this.turnStartTime));
+  }
+
+  _startTurn() {
+    this.turnStartTime = Date.now();
+  }
+
+  _timerState() {
+    const { turnTimeMs, timeoutPolicy } = this.meta;
+    if (!turnTimeMs) return {};
+    const elapsed = Date.now() - this.turnStartTime;
+    return {
+      turnTimeMs, turnRemainingMs: Math.max(0, turnTimeMs - elapsed),
+      timeoutPolicy, missedTurns: this.missedTurns.slice(), missedTotals: this.missedTotals.slice(),
+    };
+  }
+
+  serialize() {
+    return JSON.parse(JSON.stringify(this));
+  }
+
+  static restore(data) {
+    return Object.assign(new this(), data);
+  }
+}
+
+module.exports = BaseGame;
@@ -1,44 +1,89 @@
-const TURN_TIME_MS = 30000;
+const BaseGame = require('./base');
+
+const DIAGONALS = [[-1, -1], [-1, 1], [1, -1], [1, 1]];
+
+// size/rows: board and starting rows per side.
+// menCaptureBack: men may capture backwards (they still only move forward).
+// flyingKings: kings move and capture along whole diagonals.
+// maxCapture: a player must take the sequence that captures the most pieces.
+// promotion: what a man reaching the far row in the middle of a capture
+//   does. 'stop' crowns it and ends the move, 'immediate' crowns it and goes
+//   on capturing as a king, 'end' only crowns it if the capture ends there.
+const RULESETS = {
+  american: { size: 8, rows: 3, menCaptureBack: false, flyingKings: false, maxCapture: false, promotion: 'stop' },
+  international: { size: 10, rows: 4, menCaptureBack: true, flyingKings: true, maxCapture: true, promotion: 'end' },
+  brazilian: { size: 8, rows: 3, menCaptureBack: true, flyingKings: true, maxCapture: true, promotion: 'end' },
+  russian: { size: 8, rows: 3, menCaptureBack: true, flyingKings: true, maxCapture: false, promotion: 'immediate' },
+};
+
+// Plies in a row with no capture and no man moving before the game is
+// drawn: 40 moves each while men are on the board, 25 each once both sides
+// are down to kings.
+const QUIET_PLY_LIMIT = 80;
+const KING_ENDING_PLY_LIMIT = 50;
+
+class CheckersGame extends BaseGame {
+  static meta = {
+    id: 'checkers',
+    name: 'Checkers',
+    icon: '♟',
+    players: { min: 2, max: 2 },
+    turnTimeMs: 30000,
+    timeoutPolicy: { consecutive: 3, total: 5 },
+    options: {
+      ruleset: { values: Object.keys(RULESETS), default: 'american' },
+    },
+  };
 
-class CheckersGame {
   constructor() {
+    super();
+    this.ruleset = 'american';
+    this.size = 8;
     this.board = [];
-    this.currentPlayer = 0;
-    this.gameOver = false;
-    this.winner = null;
-    this.turnStartTime = Date.now();
     this.mustJumpFrom = null;
+    // Pieces jumped so far this move. They stay on the board until the
+    // capture ends, so they cannot be jumped twice or landed on.
+    this.pendingCaptures = [];
+    this.plies = 0;
+    this.quietPlies = 0;
+    this.positionCounts = {};
+  }
+
+  get rules() {
+    return RULESETS[this.ruleset];
   }
 
   init(numPlayers, options = {}) {
-    this.board = Array(64).fill(null);
-    for (let r = 0; r < 3; r++) {
-      for (let c = 0; c < 8; c++) {
-        if ((r + c) % 2 === 1) this.board[r * 8 + c] = { player: 1, king: false };
-      }
-    }
-    for (let r = 5; r < 8; r++) {
-      for (let c = 0; c < 8; c++) {
-        if ((r + c) % 2 === 1) this.board[r * 8 + c] = { player: 0, king: false };
+    this.ruleset = options.ruleset || 'american';
+    const { size, rows } = this.rules;
+    this.size = size;
+    this.board = Array(size * size).fill(null);
+    for (let r = 0; r < size; r++) {
+      for (let c = 0; c < size; c++) {
+        if ((r + c) % 2 !== 1) continue;
+        if (r < rows) this.board[r * size + c] = { player: 1, king: false };
+        else if (r >= size - rows) this.board[r * size + c] = { player: 0, king: false };
       }
     }
     this.currentPlayer = 0;
-    this.turnStartTime = Date.now();
+    this._startTurn();
     this.mustJumpFrom = null;
+    this.pendingCaptures = [];
+    this.plies = 0;
+    this.quietPlies = 0;
+    this.positionCounts = {};
+    this._countPosition();
   }
 
-  handleAction(playerIndex, action) {
-    if (this.gameOver) return { error: 'Game is over' };
-    if (action.type === 'resign') {
-      this.gameOver = true;
-      this.winner = 1 - playerIndex;
-      return { gameOver: true, winner: this.winner, resigned: true };
-    }
+  _applyAction(playerIndex, action) {
+    const draw = this._drawAction(playerIndex, action.type, this.plies);
+    if (draw) return draw;
     if (playerIndex !== this.currentPlayer) return { error: 'Not your turn' };
     if (action.type !== 'move') return { error: 'Invalid action' };
 
     const { from, to } = action;
-    if (from < 0 || from > 63 || to < 0 || to > 63) return { error: 'Invalid square' };
+    const squares = this.size * this.size;
+    if (!(from >= 0 && from < squares) || !(to >= 0 && to < squares)) return { error: 'Invalid square' };
 
     const piece = this.board[from];
     if (!piece || piece.player !== playerIndex) return { error: 'Not your piece' };
@@ -47,120 +92,202 @@ class CheckersGame {
       return { error: 'Must continue jumping with the same piece' };
     }
 
-    const fr = Math.floor(from / 8), fc = from % 8;
-    const tr = Math.floor(to / 8), tc = to % 8;
+    const captures = this._allowedCaptures();
+    if (captures.length > 0) {
+      const chosen = captures.find(seq => seq.from === from && seq.hops[0].to === to);
+      if (!chosen) return { error: this.rules.maxCapture ? 'Must take the most pieces possible' : 'Must capture when possible' };
+      return this._jump(piece, from, chosen.hops[0]);
+    }
 
-    const jumps = this._getJumps(from, piece);
-    const hasAnyJumps = this.mustJumpFrom !== null || this._playerHasJumps(playerIndex);
+    if (!this._getMoves(from, piece).includes(to)) return { error: 'Invalid move' };
 
-    if (hasAnyJumps) {
-      const jump = jumps.find(j => j.to === to);
-      if (!jump) return { error: 'Must capture when possible' };
+    const manMoved = !piece.king;
+    this.board[to] = piece;
+    this.board[from] = null;
+    if (this._isFarRow(to, playerIndex)) piece.king = true;
 
-      this.board[to] = piece;
-      this.board[from] = null;
-      this.board[jump.captured] = null;
+    this.mustJumpFrom = null;
+    return this._endTurn(manMoved);
+  }
 
-      if (this._shouldKing(to, playerIndex)) piece.king = true;
+  _jump(piece, from, hop) {
+    this.board[hop.to] = piece;
+    this.board[from] = null;
+    this.pendingCaptures.push(hop.captured);
 
-      const moreJumps = this._getJumps(to, piece);
-      if (moreJumps.length > 0) {
-        this.mustJumpFrom = to;
-        this.turnStartTime = Date.now();
-        return { gameOver: false, multiJump: true };
-      }
+    const crowned = !piece.king && this._isFarRow(hop.to, piece.player);
+    if (crowned && this.rules.promotion !== 'end') piece.king = true;
 
-      this.mustJumpFrom = null;
-      return this._endTurn();
+    const more = crowned && this.rules.promotion === 'stop' ? [] : this._captureSequences(hop.to, piece, this.pendingCaptures);
+    if (more.length > 0) {
+      this.mustJumpFrom = hop.to;
+      this._startTurn();
+      return { gameOver: false, multiJump: true };
     }
 
-    const dr = tr - fr, dc = tc - fc;
-    if (Math.abs(dr) !== 1 || Math.abs(dc) !== 1) return { error: 'Invalid move' };
-    if (!piece.king) {
-      if (playerIndex === 0 && dr >= 0) return { error: 'Must move forward' };
-      if (playerIndex === 1 && dr <= 0) return { error: 'Must move forward' };
-    }
-    if (this.board[to] !== null) return { error: 'Square occupied' };
+    for (const sq of this.pendingCaptures) this.board[sq] = null;
+    this.pendingCaptures = [];
+    if (crowned) piece.king = true;
+    this.mustJumpFrom = null;
+    return this._endTurn(true);
+  }
 
-    this.board[to] = piece;
-    this.board[from] = null;
-    if (this._shouldKing(to, playerIndex)) piece.king = true;
+  _isFarRow(pos, player) {
+    const r = Math.floor(pos / this.size);
+    return player === 0 ? r === 0 : r === this.size - 1;
+  }
 
-    this.mustJumpFrom = null;
-    return this._endTurn();
+  _onBoard(r, c) {
+    return r >= 0 && r < this.size && c >= 0 && c < this.size;
   }
 
-  _shouldKing(pos, player) {
-    const r = Math.floor(pos / 8);
-    return (player === 0 && r === 0) || (player === 1 && r === 7);
+  _forward(player) {
+    return DIAGONALS.filter(([dr]) => (player === 0 ? dr < 0 : dr > 0));
   }
 
-  _getJumps(pos, piece) {
-    const r = Math.floor(pos / 8), c = pos % 8;
-    const jumps = [];
-    const dirs = piece.king
-      ? [[-1, -1], [-1, 1], [1, -1], [1, 1]]
-      : piece.player === 0
-        ? [[-1, -1], [-1, 1]]
-        : [[1, -1], [1, 1]];
+  // Single captures from `pos`, skipping pieces already jumped this move.
+  _hops(pos, piece, taken) {
+    const r = Math.floor(pos / this.size), c = pos % this.size;
+    const flying = piece.king && this.rules.flyingKings;
+    const dirs = piece.king || this.rules.menCaptureBack ? DIAGONALS : this._forward(piece.player);
+    const hops = [];
 
     for (const [dr, dc] of dirs) {
-      const mr = r + dr, mc = c + dc;
-      const lr = r + 2 * dr, lc = c + 2 * dc;
-      if (lr < 0 || lr > 7 || lc < 0 || lc > 7) continue;
-      const mid = this.board[mr * 8 + mc];
-      const land = this.board[lr * 8 + lc];
-      if (mid && mid.player !== piece.player && land === null) {
-        jumps.push({ to: lr * 8 + lc, captured: mr * 8 + mc });
+      let s = 1;
+      if (flying) {
+        while (this._onBoard(r + dr * s, c + dc * s) && this.board[(r + dr * s) * this.size + c + dc * s] === null) s++;
+      }
+      const mr = r + dr * s, mc = c + dc * s;
+      if (!this._onBoard(mr, mc)) continue;
+      const mid = this.board[mr * this.size + mc];
+      const captured = mr * this.size + mc;
+      if (!mid || mid.player === piece.player || taken.includes(captured)) continue;
+
+      for (let l = 1; this._onBoard(mr + dr * l, mc + dc * l); l++) {
+        const land = (mr + dr * l) * this.size + mc + dc * l;
+        if (this.board[land] !== null) break;
+        hops.push({ to: land, captured });
+        if (!flying) break;
       }
     }
-    return jumps;
+    return hops;
   }
 
-  _playerHasJumps(player) {
-    for (let i = 0; i < 64; i++) {
-      const p = this.board[i];
-      if (p && p.player === player && this._getJumps(i, p).length > 0) return true;
+  // Every complete capture sequence the piece on `pos` can make, as lists
+  // of hops. The piece is lifted while searching so a flying king may pass
+  // back over its starting square.
+  _captureSequences(pos, piece, taken = []) {
+    this.board[pos] = null;
+    const sequences = this._sequencesFrom(pos, piece, taken);
+    this.board[pos] = piece;
+    return sequences;
+  }
+
+  _sequencesFrom(pos, piece, taken) {
+    const sequences = [];
+    for (const hop of this._hops(pos, piece, taken)) {
+      const crowned = !piece.king && this._isFarRow(hop.to, piece.player);
+      if (crowned && this.rules.promotion === 'stop') {
+        sequences.push([hop]);
+        continue;
+      }
+      const next = crowned && this.rules.promotion === 'immediate' ? { ...piece, king: true } : piece;
+      const rest = this._sequencesFrom(hop.to, next, [...taken, hop.captured]);
+      if (rest.length === 0) sequences.push([hop]);
+      for (const seq of rest) sequences.push([hop, ...seq]);
+    }
+    return sequences;
+  }
+
+  // The capture sequences the current player may choose from right now:
+  // continuations of the jump in progress, or every piece's captures. Under
+  // the maximum-capture rule only the longest ones count.
+  _allowedCaptures() {
+    const origins = this.mustJumpFrom !== null ? [this.mustJumpFrom] : this._pieceSquares(this.currentPlayer);
+    let all = [];
+    for (const from of origins) {
+      for (const hops of this._captureSequences(from, this.board[from], this.pendingCaptures)) all.push({ from, hops });
     }
-    return false;
+    if (this.rules.maxCapture && all.length > 0) {
+      const longest = Math.max(...all.map(seq => seq.hops.length));
+      all = all.filter(seq => seq.hops.length === longest);
+    }
+    return all;
+  }
+
+  _pieceSquares(player) {
+    const squares = [];
+    this.board.forEach((p, i) => { if (p && p.player === player) squares.push(i); });
+    return squares;
   }
 
   _getMoves(pos, piece) {
-    const r = Math.floor(pos / 8), c = pos % 8;
+    const r = Math.floor(pos / this.size), c = pos % this.size;
     const moves = [];
-    const dirs = piece.king
-      ? [[-1, -1], [-1, 1], [1, -1], [1, 1]]
-      : piece.player === 0
-        ? [[-1, -1], [-1, 1]]
-        : [[1, -1], [1, 1]];
+    const flying = piece.king && this.rules.flyingKings;
+    const dirs = piece.king ? DIAGONALS : this._forward(piece.player);
 
     for (const [dr, dc] of dirs) {
-      const nr = r + dr, nc = c + dc;
-      if (nr < 0 || nr > 7 || nc < 0 || nc > 7) continue;
-      if (this.board[nr * 8 + nc] === null) moves.push(nr * 8 + nc);
+      for (let s = 1; this._onBoard(r + dr * s, c + dc * s); s++) {
+        const sq = (r + dr * s) * this.size + c + dc * s;
+        if (this.board[sq] !== null) break;
+        moves.push(sq);
+        if (!flying) break;
+      }
     }
     return moves;
   }
 
-  _playerHasMoves(player) {
-    for (let i = 0; i < 64; i++) {
-      const p = this.board[i];
-      if (p && p.player === player) {
-        if (this._getJumps(i, p).length > 0 || this._getMoves(i, p).length > 0) return true;
+  // Legal destinations keyed by origin square, for the player to move.
+  _legalMoves() {
+    const moves = {};
+    const captures = this._allowedCaptures();
+    if (captures.length > 0) {
+      for (const { from, hops } of captures) {
+        moves[from] = moves[from] || [];
+        if (!moves[from].includes(hops[0].to)) moves[from].push(hops[0].to);
       }
+      return moves;
     }
-    return false;
+    for (const from of this._pieceSquares(this.currentPlayer)) {
+      const targets = this._getMoves(from, this.board[from]);
+      if (targets.length > 0) moves[from] = targets;
+    }
+    return moves;
+  }
+
+  _playerHasMoves(player) {
+    return this._pieceSquares(player).some((i) => {
+      const p = this.board[i];
+      return this._getMoves(i, p).length > 0 || this._hops(i, p, []).length > 0;
+    });
   }
 
   _countPieces(player) {
-    let c = 0;
-    for (let i = 0; i < 64; i++) { if (this.board[i] && this.board[i].player === player) c++; }
-    return c;
+    return this._pieceSquares(player).length;
+  }
+
+  // Same pieces on the same squares with the same side to move.
+  _countPosition() {
+    const key = this.board.map(p => p ? (p.king ? 'KW'[p.player] : 'mw'[p.player]) : '.').join('') + this.currentPlayer;
+    this.positionCounts[key] = (this.positionCounts[key] || 0) + 1;
+    return this.positionCounts[key];
   }
 
-  _endTurn() {
+  // `irreversible` is a capture or a man moving: no earlier position can
+  // come back after one, so the repetition history starts over.
+  _endTurn(irreversible) {
+    this._lapseDrawOffer(this.currentPlayer);
     this.currentPlayer = 1 - this.currentPlayer;
-    this.turnStartTime = Date.now();
+    this._startTurn();
+    this.plies++;
+    if (irreversible) {
+      this.quietPlies = 0;
+      this.positionCounts = {};
+    } else {
+      this.quietPlies++;
+    }
+    const repetitions = this._countPosition();
 
     if (!this._playerHasMoves(this.currentPlayer)) {
       this.gameOver = true;
@@ -172,52 +299,46 @@ class CheckersGame {
       this.winner = 1 - this.currentPlayer;
       return { gameOver: true, winner: this.winner };
     }
+
+    const kingEnding = this.board.every(p => !p || p.king);
+    const drawReason = repetitions >= 3 ? 'Threefold repetition'
+      : kingEnding && this.quietPlies >= KING_ENDING_PLY_LIMIT ? 'No capture in 25 moves of kings only'
+      : this.quietPlies >= QUIET_PLY_LIMIT ? 'No capture or man move in 40 moves'
+      : null;
+    if (drawReason) {
+      this.gameOver = true;
+      this.winner = null;
+      return { gameOver: true, winner: null, reason: drawReason };
+    }
     return { gameOver: false };
   }
 
   autoPlayForTimeout(playerIndex) {
-    if (this.mustJumpFrom !== null) {
-      const piece = this.board[this.mustJumpFrom];
-      if (piece) {
-        const jumps = this._getJumps(this.mustJumpFrom, piece);
-        if (jumps.length > 0) {
-          return this.handleAction(playerIndex, { type: 'move', from: this.mustJumpFrom, to: jumps[0].to });
-        }
-      }
-    }
-    for (let i = 0; i < 64; i++) {
-      const p = this.board[i];
-      if (p && p.player === playerIndex) {
-        const jumps = this._getJumps(i, p);
-        if (jumps.length > 0) return this.handleAction(playerIndex, { type: 'move', from: i, to: jumps[0].to });
-      }
-    }
-    for (let i = 0; i < 64; i++) {
-      const p = this.board[i];
-      if (p && p.player === playerIndex) {
-        const moves = this._getMoves(i, p);
-        if (moves.length > 0) return this.handleAction(playerIndex, { type: 'move', from: i, to: moves[0] });
-      }
-    }
-    return null;
+    const moves = this._legalMoves();
+    const from = Object.keys(moves)[0];
+    if (from === undefined) return null;
+    return this.handleAction(playerIndex, { type: 'move', from: Number(from), to: moves[from][0] });
   }
 
   getStateForPlayer(playerIndex) {
-    const elapsed = Date.now() - this.turnStartTime;
-    const remaining = Math.max(0, TURN_TIME_MS - elapsed);
     const boardView = this.board.map(sq => sq ? { player: sq.player, king: sq.king } : null);
     return {
       gameType: 'checkers',
+      ruleset: this.ruleset,
+      size: this.size,
       board: boardView,
       currentPlayer: this.currentPlayer,
       isMyTurn: !this.gameOver && this.currentPlayer === playerIndex,
       playerIndex,
       pieces: [this._countPieces(0), this._countPieces(1)],
       mustJumpFrom: this.mustJumpFrom,
+      pendingCaptures: this.pendingCaptures,
+      drawOffer: this.drawOffer,
+      quietPlies: this.quietPlies,
+      legalMoves: !this.gameOver && this.currentPlayer === playerIndex ? this._legalMoves() : null,
       gameOver: this.gameOver,
       winner: this.winner,
-      turnTimeMs: TURN_TIME_MS,
-      turnRemainingMs: remaining,
+      ...this._timerState(),
     };
   }
 }
@@ -1,44 +1,110 @@
-const TURN_TIME_MS = 60000;
+const BaseGame = require('./base');
 
 const PIECES = { K: 'king', Q: 'queen', R: 'rook', B: 'bishop', N: 'knight', P: 'pawn' };
+const FILES = 'abcdefgh';
+const START_FEN = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1';
+
+// Row 0 of the board is rank 8, so index 0 is a8 and 63 is h1.
+function squareName(sq) {
+  return FILES[sq % 8] + (8 - Math.floor(sq / 8));
+}
+
+function formatClock(ms) {
+  const total = Math.max(0, Math.floor(ms / 1000));
+  const pad = (n) => String(n).padStart(2, '0');
+  return Math.floor(total / 3600) + ':' + pad(Math.floor(total / 60) % 60) + ':' + pad(total % 60);
+}
+
+// "minutes+seconds": base time per side and the per-move increment.
+function parseTimeControl(tc) {
+  const [minutes, seconds] = tc.split('+').map(Number);
+  return { baseMs: minutes * 60000, incrementMs: seconds * 1000 };
+}
+
+class ChessGame extends BaseGame {
+  static meta = {
+    id: 'chess',
+    name: 'Chess',
+    icon: '♔',
+    players: { min: 2, max: 2 },
+    turnTimeMs: null,
+    options: {
+      timeControl: { values: ['1+0', '3+0', '3+2', '5+0', '5+3', '10+0', '10+5', '15+10', '30+0'], default: '10+0' },
+      // fischer adds the full increment after every move; bronstein gives
+      // back what the move used, up to the increment.
+      incrementMode: { values: ['fischer', 'bronstein'], default: 'fischer' },
+      variant: { values: ['standard', 'chess960'], default: 'standard' },
+    },
+  };
 
-class ChessGame {
   constructor() {
+    super();
     this.board = [];
-    this.currentPlayer = 0;
-    this.gameOver = false;
-    this.winner = null;
-    this.turnStartTime = Date.now();
     this.castlingRights = { 0: { kingSide: true, queenSide: true }, 1: { kingSide: true, queenSide: true } };
+    // Files the castling rooks start on; only Chess960 moves them off a/h.
+    this.rookFiles = { 0: { kingSide: 7, queenSide: 0 }, 1: { kingSide: 7, queenSide: 0 } };
+    this.variant = 'standard';
     this.enPassant = null;
     this.halfMoveClock = 0;
     this.moveHistory = [];
     this.inCheck = false;
+    this.timeControl = '10+0';
+    this.incrementMode = 'fischer';
+    this.incrementMs = 0;
+    this.clocks = [0, 0];
+    this.positionCounts = {};
+    this.fullMoveNumber = 1;
+    this.startFen = null;
   }
 
+  // `fen` is not part of the option schema, so matchmaking never passes it;
+  // only private and practice rooms may start from a custom position.
   init(numPlayers, options = {}) {
-    this.board = Array(64).fill(null);
-    const backRank = ['R', 'N', 'B', 'Q', 'K', 'B', 'N', 'R'];
-    for (let c = 0; c < 8; c++) {
-      this.board[c] = { type: backRank[c], player: 1 };
-      this.board[8 + c] = { type: 'P', player: 1 };
-      this.board[48 + c] = { type: 'P', player: 0 };
-      this.board[56 + c] = { type: backRank[c], player: 0 };
-    }
-    this.currentPlayer = 0;
-    this.turnStartTime = Date.now();
+    this.variant = options.variant || 'standard';
+    const fen = options.fen || (this.variant === 'chess960' ? this._random960Fen() : START_FEN);
+    const { position, error } = ChessGame.parseFen(fen, this.variant);
+    if (error) throw new Error(error);
+    Object.assign(this, position);
+    this.startFen = fen === START_FEN ? null : this.toFEN();
+    this.timeControl = options.timeControl || '10+0';
+    this.incrementMode = options.incrementMode || 'fischer';
+    const { baseMs, incrementMs } = parseTimeControl(this.timeControl);
+    this.incrementMs = incrementMs;
+    this.clocks = [baseMs, baseMs];
+    this.moveHistory = [];
+    this.positionCounts = {};
+    this._countPosition();
+    this._startTurn();
   }
 
-  handleAction(playerIndex, action) {
-    if (this.gameOver) return { error: 'Game is over' };
-    if (action.type === 'resign') {
-      this.gameOver = true;
-      this.winner = 1 - playerIndex;
-      return { gameOver: true, winner: this.winner, resigned: true };
-    }
+  // One of the 960 back ranks, drawn from the match seed: bishops on
+  // opposite colours, then queen and knights, and the king between the rooks.
+  _random960Fen() {
+    const rank = Array(8).fill(null);
+    const take = (squares) => squares[Math.floor(this.random() * squares.length)];
+    rank[take([0, 2, 4, 6])] = 'B';
+    rank[take([1, 3, 5, 7])] = 'B';
+    const free = () => rank.map((p, i) => p ? -1 : i).filter(i => i >= 0);
+    rank[take(free())] = 'Q';
+    rank[take(free())] = 'N';
+    rank[take(free())] = 'N';
+    const [left, middle, right] = free();
+    rank[left] = 'R'; rank[middle] = 'K'; rank[right] = 'R';
+    const back = rank.join('');
+    return `${back.toLowerCase()}/pppppppp/8/8/8/8/PPPPPPPP/${back} w KQkq - 0 1`;
+  }
+
+  _applyAction(playerIndex, action) {
+    const draw = this._drawAction(playerIndex, action.type, this.moveHistory.length);
+    if (draw) return draw;
     if (playerIndex !== this.currentPlayer) return { error: 'Not your turn' };
     if (action.type !== 'move') return { error: 'Invalid action' };
 
+    // A move that lands after the flag fell is refused; the server's
+    // timeout then records the loss on time.
+    const elapsed = Date.now() - this.turnStartTime;
+    if (elapsed >= this.clocks[playerIndex]) return { error: 'Your time is up' };
+
     const { from, to, promotion } = action;
     if (from < 0 || from > 63 || to < 0 || to > 63) return { error: 'Invalid square' };
 
@@ -48,21 +114,329 @@ class ChessGame {
     const legalMoves = this._getLegalMoves(from);
     if (!legalMoves.includes(to)) return { error: 'Illegal move' };
 
+    const san = this._san(from, to, promotion);
     this._makeMove(from, to, promotion);
+    this._chargeClock(playerIndex, elapsed);
+    if (playerIndex === 1) this.fullMoveNumber++;
     this.currentPlayer = 1 - this.currentPlayer;
-    this.turnStartTime = Date.now();
+    this._startTurn();
     this.inCheck = this._isInCheck(this.currentPlayer);
-
-    if (!this._hasLegalMoves(this.currentPlayer)) {
+    const canReply = this._hasLegalMoves(this.currentPlayer);
+    const move = this.moveHistory[this.moveHistory.length - 1];
+    move.san = san + (this.inCheck ? (canReply ? '+' : '#') : '');
+    move.clockMs = this.clocks[playerIndex];
+    this._lapseDrawOffer(playerIndex);
+    const repetitions = this._countPosition();
+
+    if (!canReply) {
       this.gameOver = true;
       this.winner = this.inCheck ? playerIndex : null;
-      return { gameOver: true, winner: this.winner, checkmate: this.inCheck, stalemate: !this.inCheck };
+      return {
+        gameOver: true, winner: this.winner, checkmate: this.inCheck, stalemate: !this.inCheck,
+        reason: this.inCheck ? 'Checkmate' : 'Stalemate',
+      };
+    }
+
+    const drawReason = repetitions >= 3 ? 'Threefold repetition'
+      : this.halfMoveClock >= 100 ? 'Fifty-move rule'
+      : this._isInsufficientMaterial() ? 'Insufficient material'
+      : null;
+    if (drawReason) {
+      this.gameOver = true;
+      this.winner = null;
+      return { gameOver: true, winner: null, reason: drawReason };
     }
 
     return { gameOver: false, check: this.inCheck };
   }
 
+  // Positions are equal when the same pieces stand on the same squares with
+  // the same side to move, castling rights and en passant capture.
+  _positionKey() {
+    const pieces = this.board.map(p => p ? (p.player === 0 ? p.type : p.type.toLowerCase()) : '.').join('');
+    const cr = this.castlingRights;
+    const castling = [cr[0].kingSide, cr[0].queenSide, cr[1].kingSide, cr[1].queenSide].map(Number).join('');
+    return pieces + ' ' + this.currentPlayer + ' ' + castling + ' ' + this._capturableEnPassant();
+  }
+
+  // The en passant square only counts when a pawn of the side to move could
+  // actually take there; otherwise it would split identical positions.
+  _capturableEnPassant() {
+    if (this.enPassant === null) return '-';
+    const r = Math.floor(this.enPassant / 8), c = this.enPassant % 8;
+    const fromRow = this.currentPlayer === 0 ? r + 1 : r - 1;
+    for (const dc of [-1, 1]) {
+      const fc = c + dc;
+      if (fc < 0 || fc > 7) continue;
+      const from = fromRow * 8 + fc;
+      const p = this.board[from];
+      if (p && p.type === 'P' && p.player === this.currentPlayer && this._getLegalMoves(from).includes(this.enPassant)) {
+        return String(this.enPassant);
+      }
+    }
+    return '-';
+  }
+
+  _countPosition() {
+    const key = this._positionKey();
+    this.positionCounts[key] = (this.positionCounts[key] || 0) + 1;
+    return this.positionCounts[key];
+  }
+
+  // Standard algebraic notation for a legal move, without the check suffix.
+  // Must be called before the move is made.
+  _san(from, to, promotion) {
+    const piece = this.board[from];
+    const fr = Math.floor(from / 8), fc = from % 8;
+    const tr = Math.floor(to / 8);
+    const side = this._castlingSide(from, to);
+    if (side) return side === 'kingSide' ? 'O-O' : 'O-O-O';
+
+    const capture = !!this.board[to] || (piece.type === 'P' && to === this.enPassant);
+    if (piece.type === 'P') {
+      let san = (capture ? FILES[fc] + 'x' : '') + squareName(to);
+      if (tr === 0 || tr === 7) san += '=' + (['Q', 'R', 'B', 'N'].includes(promotion) ? promotion : 'Q');
+      return san;
+    }
+
+    const rivals = [];
+    for (let i = 0; i < 64; i++) {
+      const p = this.board[i];
+      if (i === from || !p || p.type !== piece.type || p.player !== piece.player) continue;
+      if (this._getLegalMoves(i).includes(to)) rivals.push(i);
+    }
+    let disambiguation = '';
+    if (rivals.length > 0) {
+      if (!rivals.some(i => i % 8 === fc)) disambiguation = FILES[fc];
+      else if (!rivals.some(i => Math.floor(i / 8) === fr)) disambiguation = String(8 - fr);
+      else disambiguation = squareName(from);
+    }
+    return piece.type + disambiguation + (capture ? 'x' : '') + squareName(to);
+  }
+
+  toFEN() {
+    const rows = [];
+    for (let r = 0; r < 8; r++) {
+      let row = '', empty = 0;
+      for (let c = 0; c < 8; c++) {
+        const p = this.board[r * 8 + c];
+        if (!p) { empty++; continue; }
+        if (empty) { row += empty; empty = 0; }
+        row += p.player === 0 ? p.type : p.type.toLowerCase();
+      }
+      rows.push(row + (empty || ''));
+    }
+    let castling = '';
+    for (const player of [0, 1]) {
+      for (const side of ['kingSide', 'queenSide']) {
+        if (!this.castlingRights[player][side]) continue;
+        const letter = this._castlingLetter(player, side);
+        castling += player === 0 ? letter : letter.toLowerCase();
+      }
+    }
+    return [
+      rows.join('/'), this.currentPlayer === 0 ? 'w' : 'b', castling || '-',
+      this.enPassant === null ? '-' : squareName(this.enPassant), this.halfMoveClock, this.fullMoveNumber,
+    ].join(' ');
+  }
+
+  // X-FEN: K/Q name the outermost rook on that wing; a file letter is only
+  // needed when another rook stands further out.
+  _castlingLetter(player, side) {
+    const home = player === 0 ? 56 : 0;
+    const file = this.rookFiles[player][side];
+    const outer = side === 'kingSide' ? [file + 1, 8] : [0, file];
+    for (let f = outer[0]; f < outer[1]; f++) {
+      const p = this.board[home + f];
+      if (p && p.type === 'R' && p.player === player) return FILES[file].toUpperCase();
+    }
+    return side === 'kingSide' ? 'K' : 'Q';
+  }
+
+  // Parses and sanity-checks a FEN string into engine fields, or { error }.
+  // Chess960 positions may use X-FEN castling letters.
+  static parseFen(fen, variant = 'standard') {
+    const fields = String(fen || '').trim().split(/\s+/);
+    if (fields.length < 4 || fields.length > 6) return { error: 'FEN must have 4 to 6 fields' };
+    const [placement, side, castling, ep, half = '0', full = '1'] = fields;
+
+    const rows = placement.split('/');
+    if (rows.length !== 8) return { error: 'FEN board must have 8 ranks' };
+    const board = [];
+    for (const row of rows) {
+      const start = board.length;
+      for (const ch of row) {
+        if (/[1-8]/.test(ch)) board.push(...Array(Number(ch)).fill(null));
+        else if (/[KQRBNP]/i.test(ch)) board.push({ type: ch.toUpperCase(), player: ch === ch.toUpperCase() ? 0 : 1 });
+        else return { error: 'Invalid FEN piece: ' + ch };
+      }
+      if (board.length - start !== 8) return { error: 'Every FEN rank must have 8 squares' };
+    }
+
+    for (const player of [0, 1]) {
+      if (board.filter(p => p && p.type === 'K' && p.player === player).length !== 1) return { error: 'Each side needs exactly one king' };
+    }
+    for (let c = 0; c < 8; c++) {
+      if ((board[c] && board[c].type === 'P') || (board[56 + c] && board[56 + c].type === 'P')) return { error: 'Pawns cannot stand on the first or last rank' };
+    }
+
+    if (side !== 'w' && side !== 'b') return { error: 'FEN side to move must be w or b' };
+    const currentPlayer = side === 'w' ? 0 : 1;
+
+    const standard = variant !== 'chess960';
+    if (!/^(-|[KQA-H]{0,2}[kqa-h]{0,2})$/.test(castling) || (standard && !/^(-|K?Q?k?q?)$/.test(castling))) {
+      return { error: 'Invalid FEN castling rights' };
+    }
+    const hasRook = (sq, player) => board[sq] && board[sq].type === 'R' && board[sq].player === player;
+    const hasKing = (sq, player) => board[sq] && board[sq].type === 'K' && board[sq].player === player;
+    const castlingRights = { 0: { kingSide: false, queenSide: false }, 1: { kingSide: false, queenSide: false } };
+    const rookFiles = { 0: { kingSide: 7, queenSide: 0 }, 1: { kingSide: 7, queenSide: 0 } };
+    for (const ch of castling === '-' ? '' : castling) {
+      const player = ch === ch.toUpperCase() ? 0 : 1;
+      const home = player === 0 ? 56 : 0;
+      const kingFile = [0, 1, 2, 3, 4, 5, 6, 7].find(f => hasKing(home + f, player));
+      if (kingFile === undefined || (standard && kingFile !== 4)) return { error: 'Castling rights need the king on its home square' };
+
+      const letter = ch.toUpperCase();
+      let side, file;
+      if (letter === 'K') {
+        side = 'kingSide';
+        for (let f = 7; f > kingFile && file === undefined; f--) if (hasRook(home + f, player)) file = f;
+      } else if (letter === 'Q') {
+        side = 'queenSide';
+        for (let f = 0; f < kingFile && file === undefined; f++) if (hasRook(home + f, player)) file = f;
+      } else {
+        file = FILES.indexOf(letter.toLowerCase());
+        side = file > kingFile ? 'kingSide' : 'queenSide';
+        if (!hasRook(home + file, player)) file = undefined;
+      }
+      if (file === undefined || (standard && file !== rookFiles[player][side])) {
+        return { error: 'Castling rights need the rook on its home square' };
+      }
+      castlingRights[player][side] = true;
+      rookFiles[player][side] = file;
+    }
+
+    let enPassant = null;
+    if (ep !== '-') {
+      if (!new RegExp('^[a-h]' + (currentPlayer === 0 ? '6' : '3') + '$').test(ep)) return { error: 'Invalid FEN en passant square' };
+      enPassant = (8 - Number(ep[1])) * 8 + FILES.indexOf(ep[0]);
+      // The pawn that just double-stepped stands beyond the target square,
+      // and the squares it crossed are empty.
+      const dir = currentPlayer === 0 ? 8 : -8;
+      const pawn = board[enPassant + dir];
+      if (!pawn || pawn.type !== 'P' || pawn.player === currentPlayer || board[enPassant] || board[enPassant - dir]) {
+        return { error: 'No pawn could have just moved past the FEN en passant square' };
+      }
+    }
+
+    const halfMoveClock = Number(half), fullMoveNumber = Number(full);
+    if (!Number.isInteger(halfMoveClock) || halfMoveClock < 0 || !Number.isInteger(fullMoveNumber) || fullMoveNumber < 1) {
+      return { error: 'Invalid FEN move counters' };
+    }
+
+    const position = { board, currentPlayer, castlingRights, rookFiles, enPassant, halfMoveClock, fullMoveNumber };
+    const probe = Object.assign(new this(), position, { variant });
+    if (probe._isInCheck(1 - currentPlayer)) return { error: 'The side not to move is in check' };
+    if (!probe._hasLegalMoves(currentPlayer)) return { error: 'The position is already decided' };
+    position.inCheck = probe._isInCheck(currentPlayer);
+    return { position };
+  }
+
+  // PGN of the game so far. `tags` come from the server (players, date,
+  // result of server-decided endings) and override what the engine knows.
+  toPGN(tags = {}) {
+    const result = this.winner === 0 ? '1-0' : this.winner === 1 ? '0-1' : this.gameOver ? '1/2-1/2' : '*';
+    const { baseMs, incrementMs } = parseTimeControl(this.timeControl);
+    const all = {
+      Event: 'Casual game', Site: '?', Date: '????.??.??', Round: '-', White: '?', Black: '?', Result: result,
+      TimeControl: (baseMs / 1000) + '+' + (incrementMs / 1000),
+      ...(this.variant === 'chess960' ? { Variant: 'Chess960' } : {}),
+      ...(this.startFen ? { SetUp: '1', FEN: this.startFen } : {}),
+      ...tags,
+    };
+    const header = Object.entries(all).map(([k, v]) => `[${k} "${String(v).replace(/["\\]/g, '\\$&')}"]`).join('\n');
+
+    const startPlayer = this.startFen ? (this.startFen.split(' ')[1] === 'w' ? 0 : 1) : 0;
+    const startNumber = this.startFen ? Number(this.startFen.split(' ')[5]) : 1;
+    const tokens = [];
+    this.moveHistory.forEach((move, ply) => {
+      const number = startNumber + Math.floor((ply + startPlayer) / 2);
+      if (move.player === 0) tokens.push(number + '.');
+      else if (ply === 0) tokens.push(number + '...');
+      tokens.push(move.san);
+      if (move.clockMs !== undefined) tokens.push(`{[%clk ${formatClock(move.clockMs)}]}`);
+    });
+    tokens.push(all.Result);
+
+    // Export format keeps movetext lines under 80 characters.
+    const lines = [];
+    let line = '';
+    for (const token of tokens) {
+      if (line && line.length + 1 + token.length > 79) { lines.push(line); line = token; }
+      else line = line ? line + ' ' + token : token;
+    }
+    lines.push(line);
+    return header + '\n\n' + lines.join('\n') + '\n';
+  }
+
+  _chargeClock(player, elapsed) {
+    const bonus = this.incrementMode === 'bronstein' ? Math.min(this.incrementMs, elapsed) : this.incrementMs;
+    this.clocks[player] = this.clocks[player] - elapsed + bonus;
+  }
+
+  _liveClocks() {
+    const clocks = this.clocks.slice();
+    if (!this.gameOver) clocks[this.currentPlayer] = Math.max(0, clocks[this.currentPlayer] - (Date.now() - this.turnStartTime));
+    return clocks;
+  }
+
+  timeLeftMs() {
+    return this._liveClocks()[this.currentPlayer];
+  }
+
+  // Which side a king move castles to, or null. Standard games send the
+  // king two squares; Chess960 games send it onto its own rook, the only
+  // encoding that stays unambiguous when the king starts next to its target.
+  _castlingSide(from, to) {
+    const piece = this.board[from];
+    if (!piece || piece.type !== 'K') return null;
+    const target = this.board[to];
+    if (this.variant === 'chess960') {
+      if (!target || target.type !== 'R' || target.player !== piece.player) return null;
+      return to % 8 > from % 8 ? 'kingSide' : 'queenSide';
+    }
+    if (Math.abs(from % 8 - to % 8) !== 2) return null;
+    return to % 8 === 6 ? 'kingSide' : 'queenSide';
+  }
+
+  // Wherever they start, the king ends on the g or c file and the rook
+  // next to it on the f or d file.
+  _castlingTargets(row, side) {
+    return side === 'kingSide' ? { kingTo: row * 8 + 6, rookTo: row * 8 + 5 } : { kingTo: row * 8 + 2, rookTo: row * 8 + 3 };
+  }
+
+  _castle(from, side) {
+    const king = this.board[from];
+    const row = Math.floor(from / 8);
+    const rookFrom = row * 8 + this.rookFiles[king.player][side];
+    const rook = this.board[rookFrom];
+    const { kingTo, rookTo } = this._castlingTargets(row, side);
+    this.board[from] = null;
+    this.board[rookFrom] = null;
+    this.board[kingTo] = king;
+    this.board[rookTo] = rook;
+    this.castlingRights[king.player].kingSide = false;
+    this.castlingRights[king.player].queenSide = false;
+    this.enPassant = null;
+    this.halfMoveClock++;
+    this.moveHistory.push({ from, to: kingTo, piece: 'K', player: king.player, castle: side });
+  }
+
   _makeMove(from, to, promotion) {
+    const side = this._castlingSide(from, to);
+    if (side) return this._castle(from, side);
+
     const piece = this.board[from];
     const captured = this.board[to];
     const fr = Math.floor(from / 8), fc = from % 8;
@@ -84,25 +458,17 @@ class ChessGame {
     if (piece.type === 'K') {
       this.castlingRights[piece.player].kingSide = false;
       this.castlingRights[piece.player].queenSide = false;
-      if (Math.abs(fc - tc) === 2) {
-        if (tc === 6) {
-          this.board[fr * 8 + 5] = this.board[fr * 8 + 7];
-          this.board[fr * 8 + 7] = null;
-        } else if (tc === 2) {
-          this.board[fr * 8 + 3] = this.board[fr * 8 + 0];
-          this.board[fr * 8 + 0] = null;
-        }
-      }
     }
 
-    if (piece.type === 'R') {
-      if (fc === 0) this.castlingRights[piece.player].queenSide = false;
-      if (fc === 7) this.castlingRights[piece.player].kingSide = false;
-    }
-    if (captured && captured.type === 'R') {
-      if (tc === 0) this.castlingRights[captured.player].queenSide = false;
-      if (tc === 7) this.castlingRights[captured.player].kingSide = false;
-    }
+    const homeRow = (player) => player === 0 ? 7 : 0;
+    const loseRookRight = (player, row, col) => {
+      if (row !== homeRow(player)) return;
+      for (const side of ['kingSide', 'queenSide']) {
+        if (this.rookFiles[player][side] === col) this.castlingRights[player][side] = false;
+      }
+    };
+    if (piece.type === 'R') loseRookRight(piece.player, fr, fc);
+    if (captured && captured.type === 'R') loseRookRight(captured.player, tr, tc);
 
     this.board[to] = piece;
     this.board[from] = null;
@@ -229,34 +595,58 @@ class ChessGame {
       if (epCapture !== null) this.board[epCapture] = epSaved;
     }
 
-    if (piece.type === 'K') {
-      const r = Math.floor(pos / 8);
-      const cr = this.castlingRights[piece.player];
-      if (cr.kingSide && !this.board[r * 8 + 5] && !this.board[r * 8 + 6]) {
-        const rook = this.board[r * 8 + 7];
-        if (rook && rook.type === 'R' && rook.player === piece.player) {
-          if (!this._isInCheck(piece.player) &&
-              !this._isSquareAttacked(r * 8 + 5, 1 - piece.player) &&
-              !this._isSquareAttacked(r * 8 + 6, 1 - piece.player)) {
-            legal.push(r * 8 + 6);
-          }
-        }
-      }
-      if (cr.queenSide && !this.board[r * 8 + 1] && !this.board[r * 8 + 2] && !this.board[r * 8 + 3]) {
-        const rook = this.board[r * 8 + 0];
-        if (rook && rook.type === 'R' && rook.player === piece.player) {
-          if (!this._isInCheck(piece.player) &&
-              !this._isSquareAttacked(r * 8 + 2, 1 - piece.player) &&
-              !this._isSquareAttacked(r * 8 + 3, 1 - piece.player)) {
-            legal.push(r * 8 + 2);
-          }
-        }
-      }
-    }
+    if (piece.type === 'K') legal.push(...this._castlingMoves(pos, piece));
 
     return legal;
   }
 
+  _castlingMoves(pos, king) {
+    const player = king.player;
+    const row = Math.floor(pos / 8);
+    if (row !== (player === 0 ? 7 : 0) || this._isInCheck(player)) return [];
+    const span = (a, b) => {
+      const squares = [];
+      for (let sq = Math.min(a, b); sq <= Math.max(a, b); sq++) squares.push(sq);
+      return squares;
+    };
+
+    const moves = [];
+    for (const side of ['kingSide', 'queenSide']) {
+      if (!this.castlingRights[player][side]) continue;
+      const rookFrom = row * 8 + this.rookFiles[player][side];
+      const rook = this.board[rookFrom];
+      if (!rook || rook.type !== 'R' || rook.player !== player) continue;
+      const { kingTo, rookTo } = this._castlingTargets(row, side);
+
+      // Both pieces need a clear run, apart from each other.
+      const path = [...span(pos, kingTo), ...span(rookFrom, rookTo)];
+      if (path.some(sq => sq !== pos && sq !== rookFrom && this.board[sq])) continue;
+
+      // The king may not cross an attacked square. The rook is lifted first,
+      // since it may be what currently shields the king's target.
+      this.board[rookFrom] = null;
+      const attacked = span(pos, kingTo).some(sq => this._isSquareAttacked(sq, 1 - player));
+      this.board[rookFrom] = rook;
+      if (attacked) continue;
+
+      moves.push(this.variant === 'chess960' ? rookFrom : kingTo);
+    }
+    return moves;
+  }
+
+  // Legal targets keyed by origin square, so clients need not know the
+  // castling rules of each variant.
+  _allLegalMoves() {
+    const moves = {};
+    for (let i = 0; i < 64; i++) {
+      const p = this.board[i];
+      if (!p || p.player !== this.currentPlayer) continue;
+      const targets = this._getLegalMoves(i);
+      if (targets.length > 0) moves[i] = targets;
+    }
+    return moves;
+  }
+
   _hasLegalMoves(player) {
     for (let i = 0; i < 64; i++) {
       if (this.board[i] && this.board[i].player === player && this._getLegalMoves(i).length > 0) return true;
@@ -264,15 +654,53 @@ class ChessGame {
     return false;
   }
 
+  // The server only calls this once the mover's clock has run out: their
+  // flag fell. That loses, unless the opponent has no way to ever mate.
   autoPlayForTimeout(playerIndex) {
+    if (playerIndex !== this.currentPlayer) return null;
+    this.clocks[playerIndex] = 0;
+    this.gameOver = true;
+    const opponent = 1 - playerIndex;
+    if (!this._hasMatingMaterial(opponent)) {
+      this.winner = null;
+      return { gameOver: true, winner: null, flagged: true, reason: 'Flag fell, but the opponent cannot mate' };
+    }
+    this.winner = opponent;
+    return { gameOver: true, winner: opponent, flagged: true, reason: 'Flag fell' };
+  }
+
+  // Whether any sequence of legal moves lets `player` mate, with help from
+  // the other side if need be. A bare king never can, and neither can
+  // bishops when every piece left beside the kings is a bishop on one square
+  // colour. A lone minor piece mates only if the other side has a piece of
+  // its own to hem its king in (K+N against K+P can mate); a pawn, rook,
+  // queen or second minor piece always can.
+  _hasMatingMaterial(player) {
+    const own = [], theirs = [];
     for (let i = 0; i < 64; i++) {
       const p = this.board[i];
-      if (p && p.player === playerIndex) {
-        const moves = this._getLegalMoves(i);
-        if (moves.length > 0) return this.handleAction(playerIndex, { type: 'move', from: i, to: moves[0] });
-      }
+      if (!p || p.type === 'K') continue;
+      (p.player === player ? own : theirs).push({ type: p.type, color: (Math.floor(i / 8) + i % 8) % 2 });
     }
-    return null;
+    if (!own.length) return false;
+    if (own.some(m => m.type === 'P' || m.type === 'R' || m.type === 'Q')) return true;
+    const all = own.concat(theirs);
+    if (all.every(m => m.type === 'B' && m.color === all[0].color)) return false;
+    return own.length >= 2 || theirs.length > 0;
+  }
+
+  // Neither side can ever mate: bare kings, a lone minor piece, or only
+  // bishops that all run on the same colour.
+  _isInsufficientMaterial() {
+    const minors = [];
+    for (let i = 0; i < 64; i++) {
+      const p = this.board[i];
+      if (!p || p.type === 'K') continue;
+      if (p.type === 'P' || p.type === 'R' || p.type === 'Q') return false;
+      minors.push({ type: p.type, color: (Math.floor(i / 8) + i % 8) % 2 });
+    }
+    if (minors.length <= 1) return true;
+    return minors.every(m => m.type === 'B' && m.color === minors[0].color);
   }
 
   _countMaterial(player) {
@@ -285,8 +713,6 @@ class ChessGame {
   }
 
   getStateForPlayer(playerIndex) {
-    const elapsed = Date.now() - this.turnStartTime;
-    const remaining = Math.max(0, TURN_TIME_MS - elapsed);
     const boardView = this.board.map(sq => sq ? { type: sq.type, player: sq.player } : null);
     return {
       gameType: 'chess',
@@ -298,8 +724,15 @@ class ChessGame {
       inCheck: this.inCheck,
       gameOver: this.gameOver,
       winner: this.winner,
-      turnTimeMs: TURN_TIME_MS,
-      turnRemainingMs: remaining,
+      clocks: this._liveClocks(),
+      clockRunning: this.gameOver ? null : this.currentPlayer,
+      timeControl: this.timeControl,
+      incrementMode: this.incrementMode,
+      drawOffer: this.drawOffer,
+      halfMoveClock: this.halfMoveClock,
+      fen: this.toFEN(),
+      variant: this.variant,
+      legalMoves: playerIndex === this.currentPlayer && !this.gameOver ? this._allLegalMoves() : null,
       lastMove: this.moveHistory.length > 0 ? this.moveHistory[this.moveHistory.length - 1] : null,
     };
   }
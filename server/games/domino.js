@@ -1,29 +1,82 @@
-const TARGET_SCORE = 50;
-const TURN_TIME_MS = 15000;
+const BaseGame = require('./base');
+
+// Tiles dealt to each player, by the set's highest pip. Double-six deals
+// five apiece to three or four players, except in block games.
+const HAND_SIZES = { 6: 7, 9: 10, 12: 12 };
+const SHORT_HAND = 5;
+
+// Seats per table format. In 2v2 partners sit opposite each other, so seats
+// 0 and 2 play against seats 1 and 3 and turns alternate between the sides.
+const TABLES = { '1v1': 2, '3p': 3, '4p': 4, '2v2': 4 };
+
+// draw:     stuck players draw from the boneyard; the round winner scores
+//           the pips left in the loser's hand.
+// block:    no boneyard, stuck players pass; scored like draw.
+// allfives: draw rules, plus a play scores whenever the open ends add up to
+//           a multiple of five (a double on an end counts both halves).
+//           Round points are rounded to the nearest five. The line has no
+//           spinner, so there are only ever two open ends.
+//
+// Scores are kept per side: one per seat, or one per partnership in 2v2.
+// Going out scores the pips left in every opposing hand.
+//
+// At a 3p or 4p table a player who resigns, forfeits on timeouts or never
+// reconnects is out: their tiles leave the round, their seat is skipped and
+// is dealt nothing in later rounds, and their stake stays in the pot for
+// whoever wins. The game ends once only one player is left.
+class DominoGame extends BaseGame {
+  static meta = {
+    id: 'domino',
+    name: 'Domino',
+    icon: '\u{1F031}',
+    players: { min: 2, max: 4 },
+    turnTimeMs: 15000,
+    timeoutPolicy: { consecutive: 3, total: 6 },
+    playsOn: true,
+    options: {
+      variant: { values: ['draw', 'block', 'allfives'], default: 'draw' },
+      targetScore: { values: [50, 100, 150, 250], default: 50 },
+      maxPip: { values: [6, 9, 12], default: 6 },
+      table: { values: Object.keys(TABLES), default: '1v1' },
+    },
+  };
+
+  static seatCount(options = {}) {
+    return TABLES[options.table] || 2;
+  }
+
+  static teams(numPlayers, options = {}) {
+    return Array.from({ length: numPlayers }, (_, seat) => (options.table === '2v2' ? seat % 2 : seat));
+  }
 
-class DominoGame {
   constructor() {
+    super();
     this.scores = [0, 0];
     this.round = 0;
     this.roundOver = false;
     this.roundWinner = null;
     this.roundPoints = 0;
     this.pipCounts = [0, 0];
-    this.gameOver = false;
-    this.winner = null;
+    this.variant = 'draw';
+    this.targetScore = 50;
+    this.maxPip = 6;
+    this.table = '1v1';
+    this.lastScore = null;
 
     this.hands = [[], []];
     this.boneyard = [];
     this.board = [];
     this.boardLeft = null;
     this.boardRight = null;
-    this.currentPlayer = 0;
     this.consecutivePasses = 0;
-    this.turnStartTime = Date.now();
   }
 
-  init(numPlayers, options) {
-    this.scores = [0, 0];
+  init(numPlayers, options = {}) {
+    this.variant = options.variant || 'draw';
+    this.targetScore = options.targetScore || 50;
+    this.maxPip = options.maxPip || 6;
+    this.table = options.table || '1v1';
+    this.scores = Array(this._sideCount()).fill(0);
     this.round = 0;
     this._startNewRound();
   }
@@ -33,45 +86,66 @@ class DominoGame {
     this.roundOver = false;
     this.roundWinner = null;
     this.roundPoints = 0;
-    this.pipCounts = [0, 0];
+    this.pipCounts = Array(this.numPlayers).fill(0);
     this.consecutivePasses = 0;
     this.board = [];
     this.boardLeft = null;
     this.boardRight = null;
+    this.lastScore = null;
 
     const allTiles = [];
-    for (let i = 0; i <= 6; i++) {
-      for (let j = i; j <= 6; j++) {
+    for (let i = 0; i <= this.maxPip; i++) {
+      for (let j = i; j <= this.maxPip; j++) {
         allTiles.push([i, j]);
       }
     }
     this._shuffle(allTiles);
 
-    this.hands = [allTiles.splice(0, 7), allTiles.splice(0, 7)];
-    this.boneyard = allTiles;
+    const handSize = this.maxPip === 6 && this.activeSeats().length > 2 && this.variant !== 'block'
+      ? SHORT_HAND : HAND_SIZES[this.maxPip];
+    this.hands = [];
+    for (let p = 0; p < this.numPlayers; p++) this.hands.push(this.out.includes(p) ? [] : allTiles.splice(0, handSize));
+    // In block games the undealt tiles sit out the round.
+    this.boneyard = this.variant === 'block' ? [] : allTiles;
     this.currentPlayer = this._findStartingPlayer();
-    this.turnStartTime = Date.now();
+    this._startTurn();
   }
 
   _shuffle(arr) {
     for (let i = arr.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
+      const j = Math.floor(this.random() * (i + 1));
       [arr[i], arr[j]] = [arr[j], arr[i]];
     }
   }
 
+  _sideCount() {
+    return new Set(this.teams).size;
+  }
+
+  _nextSeat(seat) {
+    let next = (seat + 1) % this.numPlayers;
+    while (this.out.includes(next)) next = (next + 1) % this.numPlayers;
+    return next;
+  }
+
+  _seatsOut(seats) {
+    for (const seat of seats) this.hands[seat] = [];
+    if (!this.roundOver && seats.includes(this.currentPlayer)) {
+      this.currentPlayer = this._nextSeat(this.currentPlayer);
+      this._startTurn();
+    }
+  }
+
   _findStartingPlayer() {
-    for (let d = 6; d >= 0; d--) {
-      for (let p = 0; p < 2; p++) {
+    for (let d = this.maxPip; d >= 0; d--) {
+      for (let p = 0; p < this.numPlayers; p++) {
         if (this.hands[p].some(t => t[0] === d && t[1] === d)) return p;
       }
     }
-    return 0;
+    return this.activeSeats()[0];
   }
 
-  handleAction(playerIndex, action) {
-    if (this.gameOver) return { error: 'Game is over' };
-
+  _applyAction(playerIndex, action) {
     if (action.type === 'next_round') {
       if (!this.roundOver) return { error: 'Round is not over yet' };
       if (this.gameOver) return { error: 'Game is already over' };
@@ -79,13 +153,6 @@ class DominoGame {
       return { newRound: true, gameOver: false };
     }
 
-    if (action.type === 'resign') {
-      const winner = 1 - playerIndex;
-      this.gameOver = true;
-      this.winner = winner;
-      return { gameOver: true, winner, resigned: true };
-    }
-
     if (this.roundOver) return { error: 'Round is over — waiting for next round' };
     if (playerIndex !== this.currentPlayer) return { error: 'Not your turn' };
 
@@ -174,10 +241,10 @@ class DominoGame {
     if (this._hasPlayableTile(playerIndex)) return { error: 'You have a playable tile' };
 
     this.consecutivePasses++;
-    if (this.consecutivePasses >= 2) return this._endRoundBlocked();
+    if (this.consecutivePasses >= this.activeSeats().length) return this._endRoundBlocked();
 
-    this.currentPlayer = 1 - this.currentPlayer;
-    this.turnStartTime = Date.now();
+    this.currentPlayer = this._nextSeat(this.currentPlayer);
+    this._startTurn();
     return { gameOver: false };
   }
 
@@ -226,53 +293,83 @@ class DominoGame {
     return this.hands[playerIndex].reduce((s, t) => s + t[0] + t[1], 0);
   }
 
+  // All Fives: what the open ends are worth right now. A lone first tile
+  // counts both halves; otherwise each end tile counts its outer half,
+  // twice over when it is a double.
+  _openEndCount() {
+    if (this.board.length === 1) return this.board[0][0] + this.board[0][1];
+    const first = this.board[0], last = this.board[this.board.length - 1];
+    const left = first[0] === first[1] ? first[0] * 2 : first[0];
+    const right = last[0] === last[1] ? last[1] * 2 : last[1];
+    return left + right;
+  }
+
+  _pipCounts() {
+    return this.hands.map((hand, seat) => this._pipCount(seat));
+  }
+
   _endTurn(playerIndex) {
+    this.lastScore = null;
+    if (this.variant === 'allfives') {
+      const count = this._openEndCount();
+      const side = this.teams[playerIndex];
+      if (count > 0 && count % 5 === 0) {
+        this.scores[side] += count;
+        this.lastScore = { player: playerIndex, points: count };
+        if (this.scores[side] >= this.targetScore) {
+          this.roundOver = true;
+          this.roundWinner = playerIndex;
+          this.roundPoints = count;
+          this.pipCounts = this._pipCounts();
+          this.gameOver = true;
+          this.winner = playerIndex;
+          return { gameOver: true, winner: playerIndex, roundOver: true };
+        }
+      }
+    }
     if (this.hands[playerIndex].length === 0) {
       return this._endRound(playerIndex);
     }
-    this.currentPlayer = 1 - this.currentPlayer;
-    this.turnStartTime = Date.now();
+    this.currentPlayer = this._nextSeat(this.currentPlayer);
+    this._startTurn();
     return { gameOver: false };
   }
 
   _endRound(roundWinner) {
-    this.roundOver = true;
-    this.roundWinner = roundWinner;
-    const loserIndex = 1 - roundWinner;
-    this.pipCounts = [this._pipCount(0), this._pipCount(1)];
-    this.roundPoints = this.pipCounts[loserIndex];
-    this.scores[roundWinner] += this.roundPoints;
+    this.pipCounts = this._pipCounts();
+    const side = this.teams[roundWinner];
+    const pips = this.pipCounts.reduce((sum, count, seat) => (this.teams[seat] === side ? sum : sum + count), 0);
+    return this._scoreRound(roundWinner, this._roundScore(pips));
+  }
 
-    if (this.scores[roundWinner] >= TARGET_SCORE) {
-      this.gameOver = true;
-      this.winner = roundWinner;
-      return { gameOver: true, winner: roundWinner, roundOver: true };
-    }
-    return { gameOver: false, roundOver: true, winner: roundWinner };
+  _roundScore(pips) {
+    return this.variant === 'allfives' ? Math.round(pips / 5) * 5 : pips;
   }
 
+  // Nobody can move: the side holding the fewest pips takes the round and
+  // scores what every other side holds beyond that. On a tie the side that
+  // laid the last tile wins; the last seat to pass is the one that laid it.
+  // Sides that are out hold nothing and take no part.
   _endRoundBlocked() {
-    this.pipCounts = [this._pipCount(0), this._pipCount(1)];
-
-    if (this.pipCounts[0] < this.pipCounts[1]) {
-      return this._endRoundBlockedWinner(0);
-    } else if (this.pipCounts[1] < this.pipCounts[0]) {
-      return this._endRoundBlockedWinner(1);
-    }
-
-    // Tied pip counts: the player who placed the last tile wins
-    const lastPlayer = 1 - this.currentPlayer;
-    return this._endRoundBlockedWinner(lastPlayer);
+    this.pipCounts = this._pipCounts();
+    const pips = Array(this._sideCount()).fill(0);
+    this.pipCounts.forEach((count, seat) => { pips[this.teams[seat]] += count; });
+    const sides = [...new Set(this.activeSeats().map((seat) => this.teams[seat]))];
+    const low = Math.min(...sides.map((side) => pips[side]));
+
+    let winner = this.currentPlayer;
+    while (pips[this.teams[winner]] !== low) winner = this._nextSeat(winner);
+    return this._scoreRound(winner, this._roundScore(sides.reduce((sum, side) => sum + pips[side] - low, 0)));
   }
 
-  _endRoundBlockedWinner(winner) {
+  _scoreRound(winner, points) {
     this.roundOver = true;
     this.roundWinner = winner;
-    const loser = 1 - winner;
-    this.roundPoints = this.pipCounts[loser] - this.pipCounts[winner];
-    this.scores[winner] += this.roundPoints;
+    this.roundPoints = points;
+    const side = this.teams[winner];
+    this.scores[side] += points;
 
-    if (this.scores[winner] >= TARGET_SCORE) {
+    if (this.scores[side] >= this.targetScore) {
       this.gameOver = true;
       this.winner = winner;
       return { gameOver: true, winner, roundOver: true };
@@ -281,21 +378,27 @@ class DominoGame {
   }
 
   getStateForPlayer(playerIndex) {
-    const elapsed = Date.now() - this.turnStartTime;
-    const remaining = Math.max(0, TURN_TIME_MS - elapsed);
     return {
       gameType: 'domino',
       hand: this.hands[playerIndex],
-      opponentTileCount: this.hands[1 - playerIndex].length,
+      opponentTileCount: this.hands[this._nextSeat(playerIndex)].length,
+      handCounts: this.hands.map(h => h.length),
       board: this.board,
       boardLeft: this.boardLeft,
       boardRight: this.boardRight,
       boneyardCount: this.boneyard.length,
       currentPlayer: this.currentPlayer,
+      numPlayers: this.numPlayers,
+      table: this.table,
+      teams: this.teams,
+      out: this.out,
       isMyTurn: !this.roundOver && this.currentPlayer === playerIndex,
       playerIndex,
       scores: this.scores,
-      targetScore: TARGET_SCORE,
+      targetScore: this.targetScore,
+      variant: this.variant,
+      maxPip: this.maxPip,
+      lastScore: this.lastScore,
       round: this.round,
       roundOver: this.roundOver,
       roundWinner: this.roundWinner,
@@ -305,8 +408,17 @@ class DominoGame {
       winner: this.winner,
       canPlay: this._hasPlayableTile(playerIndex),
       canDraw: this.boneyard.length > 0,
-      turnTimeMs: TURN_TIME_MS,
-      turnRemainingMs: remaining,
+      ...this._timerState(),
+    };
+  }
+
+  // Spectators never see a tile in anyone's hand, only how many are left.
+  getSpectatorState() {
+    return {
+      ...super.getSpectatorState(),
+      hand: [],
+      canPlay: false,
+      canDraw: false,
     };
   }
 }
@@ -0,0 +1,71 @@
+const fs = require('fs');
+const path = require('path');
+const BaseGame = require('./base');
+
+// Any module in this directory exporting a BaseGame subclass with a meta id
+// is a playable game; nothing else needs to be registered by hand.
+const games = new Map();
+
+for (const file of fs.readdirSync(__dirname).sort()) {
+  if (!file.endsWith('.js') || file === 'index.js' || file === 'base.js') continue;
+  const Game = require(path.join(__dirname, file));
+  if (typeof Game === 'function' && Game.prototype instanceof BaseGame && Game.meta && Game.meta.id) {
+    games.set(Game.meta.id, Game);
+  }
+}
+
+function has(id) {
+  return games.has(id);
+}
+
+function get(id) {
+  return games.get(id) || null;
+}
+
+function list() {
+  return [...games.values()].map(({ meta }) => ({
+    id: meta.id,
+    name: meta.name,
+    icon: meta.icon,
+    players: meta.players,
+    turnTimeMs: meta.turnTimeMs,
+    timeoutPolicy: meta.timeoutPolicy || null,
+    options: meta.options,
+  }));
+}
+
+function create(id) {
+  return new (get(id))();
+}
+
+function restore(id, data) {
+  return get(id).restore(data);
+}
+
+// Fills in defaults and rejects anything outside the game's option schema.
+// Keys the schema does not know about are dropped.
+function normalizeOptions(id, raw = {}) {
+  const schema = get(id).meta.options;
+  const options = {};
+  for (const [key, spec] of Object.entries(schema)) {
+    let value = raw[key];
+    if (value === undefined || value === null || value === '') value = spec.default;
+    else if (typeof spec.default === 'number') value = Number(value);
+    if (!spec.values.includes(value)) return { error: `Invalid ${key} for ${get(id).meta.name}` };
+    options[key] = value;
+  }
+  return { options };
+}
+
+function seatCount(id, options = {}) {
+  return get(id).seatCount(options);
+}
+
+// Two searches can only share a table when the game and every option agree.
+function tableKey(id, options) {
+  const parts = [id];
+  for (const key of Object.keys(get(id).meta.options)) parts.push(options[key]);
+  return parts.join('_');
+}
+
+module.exports = { has, get, list, create, restore, normalizeOptions, seatCount, tableKey };
@@ -1,31 +1,59 @@
-const TURN_TIME_MS = 20000;
+const BaseGame = require('./base');
+
+// Oware: plies without a capture before the seeds still in play go to the
+// side they sit on and the game is scored.
+const QUIET_PLY_LIMIT = 100;
+
+// kalah: sowing passes through your own store, a last seed there earns
+//        another turn, and a last seed in one of your empty pits takes the
+//        pit opposite. The game ends when either side runs out of seeds.
+// oware: (Abapa) sowing skips both stores and the pit it started from. A
+//        last seed that makes two or three in an opposing pit captures it,
+//        along with each pit before it on that side that also holds two or
+//        three. A move that would take every opposing seed (a grand slam)
+//        captures nothing, and a player whose opponent has no seeds must
+//        give them some; if they cannot, they take what is left. The store
+//        slots hold each player's captures.
+//
+// Either way the side with more seeds stored at the end wins; equal stores
+// are a draw.
+class MancalaGame extends BaseGame {
+  static meta = {
+    id: 'mancala',
+    name: 'Mancala',
+    icon: '\u{1F332}',
+    players: { min: 2, max: 2 },
+    turnTimeMs: 20000,
+    timeoutPolicy: { consecutive: 3, total: 5 },
+    options: {
+      rules: { values: ['kalah', 'oware'], default: 'kalah' },
+      seeds: { values: [3, 4, 5, 6], default: 4 },
+    },
+  };
 
-class MancalaGame {
   constructor() {
+    super();
     this.pits = [];
-    this.currentPlayer = 0;
-    this.gameOver = false;
-    this.winner = null;
-    this.turnStartTime = Date.now();
+    this.rules = 'kalah';
+    this.seedsPerPit = 4;
+    this.quietPlies = 0;
   }
 
   init(numPlayers, options = {}) {
-    this.pits = [4, 4, 4, 4, 4, 4, 0, 4, 4, 4, 4, 4, 4, 0];
-    this.currentPlayer = Math.random() < 0.5 ? 0 : 1;
-    this.turnStartTime = Date.now();
+    this.rules = options.rules || 'kalah';
+    this.seedsPerPit = options.seeds || 4;
+    const s = this.seedsPerPit;
+    this.pits = [s, s, s, s, s, s, 0, s, s, s, s, s, s, 0];
+    this.quietPlies = 0;
+    this.currentPlayer = this.random() < 0.5 ? 0 : 1;
+    this._startTurn();
   }
 
   _store(player) { return player === 0 ? 6 : 13; }
   _pitsRange(player) { return player === 0 ? [0, 5] : [7, 12]; }
   _oppStore(player) { return player === 0 ? 13 : 6; }
 
-  handleAction(playerIndex, action) {
-    if (this.gameOver) return { error: 'Game is over' };
-    if (action.type === 'resign') {
-      this.gameOver = true;
-      this.winner = 1 - playerIndex;
-      return { gameOver: true, winner: this.winner, resigned: true };
-    }
+  _applyAction(playerIndex, action) {
     if (playerIndex !== this.currentPlayer) return { error: 'Not your turn' };
     if (action.type !== 'sow') return { error: 'Invalid action' };
 
@@ -34,6 +62,8 @@ class MancalaGame {
     if (pitIndex < lo || pitIndex > hi) return { error: 'Not your pit' };
     if (this.pits[pitIndex] === 0) return { error: 'Pit is empty' };
 
+    if (this.rules === 'oware') return this._playOware(playerIndex, pitIndex);
+
     const seeds = this.pits[pitIndex];
     this.pits[pitIndex] = 0;
     let pos = pitIndex;
@@ -62,18 +92,91 @@ class MancalaGame {
 
     if (this._isSideEmpty(0) || this._isSideEmpty(1)) {
       this._collectRemaining();
-      this.gameOver = true;
-      if (this.pits[6] > this.pits[13]) this.winner = 0;
-      else if (this.pits[13] > this.pits[6]) this.winner = 1;
-      else this.winner = playerIndex;
-      return { gameOver: true, winner: this.winner };
+      return this._finish();
     }
 
     if (!extraTurn) this.currentPlayer = 1 - this.currentPlayer;
-    this.turnStartTime = Date.now();
+    this._startTurn();
     return { gameOver: false, extraTurn };
   }
 
+  _playOware(playerIndex, pitIndex) {
+    if (!this._legalPits(playerIndex).includes(pitIndex)) return { error: 'You must give your opponent seeds' };
+    const { pits, captured } = this._owareSow(this.pits, playerIndex, pitIndex);
+    this.pits = pits;
+    this.quietPlies = captured ? 0 : this.quietPlies + 1;
+
+    // Past half the seeds nobody can catch up.
+    if (this.pits[this._store(playerIndex)] * 2 > this.seedsPerPit * 12) return this._finish();
+    if (this.quietPlies >= QUIET_PLY_LIMIT) {
+      this._collectRemaining();
+      return this._finish('No capture in 50 moves');
+    }
+
+    this.currentPlayer = 1 - this.currentPlayer;
+    if (!this._legalPits(this.currentPlayer).length) {
+      const store = this._store(this.currentPlayer);
+      for (let i = 0; i < 14; i++) {
+        if (i === 6 || i === 13) continue;
+        this.pits[store] += this.pits[i];
+        this.pits[i] = 0;
+      }
+      return this._finish('No seeds to give');
+    }
+    this._startTurn();
+    return { gameOver: false, captured };
+  }
+
+  // The board after an Oware move, without touching the live one.
+  _owareSow(board, player, pitIndex) {
+    const pits = board.slice();
+    let seeds = pits[pitIndex];
+    pits[pitIndex] = 0;
+    let pos = pitIndex;
+    while (seeds > 0) {
+      pos = (pos + 1) % 14;
+      if (pos === 6 || pos === 13 || pos === pitIndex) continue;
+      pits[pos]++;
+      seeds--;
+    }
+
+    const [olo, ohi] = this._pitsRange(1 - player);
+    const taken = pits.slice();
+    let captured = 0;
+    while (pos >= olo && pos <= ohi && (taken[pos] === 2 || taken[pos] === 3)) {
+      captured += taken[pos];
+      taken[pos] = 0;
+      pos--;
+    }
+    if (captured && this._sideTotal(taken, 1 - player) === 0) return { pits, captured: 0 };
+    taken[this._store(player)] += captured;
+    return { pits: taken, captured };
+  }
+
+  _sideTotal(pits, player) {
+    const [lo, hi] = this._pitsRange(player);
+    let total = 0;
+    for (let i = lo; i <= hi; i++) total += pits[i];
+    return total;
+  }
+
+  _legalPits(player) {
+    const [lo, hi] = this._pitsRange(player);
+    const pits = [];
+    for (let i = lo; i <= hi; i++) { if (this.pits[i] > 0) pits.push(i); }
+    if (this.rules !== 'oware' || this._sideTotal(this.pits, 1 - player) > 0) return pits;
+    return pits.filter((pit) => this._sideTotal(this._owareSow(this.pits, player, pit).pits, 1 - player) > 0);
+  }
+
+  _finish(reason) {
+    this.gameOver = true;
+    if (this.pits[6] > this.pits[13]) this.winner = 0;
+    else if (this.pits[13] > this.pits[6]) this.winner = 1;
+    else this.winner = null;
+    if (this.winner === null) return { gameOver: true, winner: null, reason: 'Equal stores' };
+    return { gameOver: true, winner: this.winner, ...(reason ? { reason } : {}) };
+  }
+
   _isSideEmpty(player) {
     const [lo, hi] = this._pitsRange(player);
     for (let i = lo; i <= hi; i++) { if (this.pits[i] > 0) return false; }
@@ -89,16 +192,12 @@ class MancalaGame {
   }
 
   autoPlayForTimeout(playerIndex) {
-    const [lo, hi] = this._pitsRange(playerIndex);
-    for (let i = lo; i <= hi; i++) {
-      if (this.pits[i] > 0) return this.handleAction(playerIndex, { type: 'sow', pit: i });
-    }
-    return null;
+    const [pit] = this._legalPits(playerIndex);
+    if (pit === undefined) return null;
+    return this.handleAction(playerIndex, { type: 'sow', pit });
   }
 
   getStateForPlayer(playerIndex) {
-    const elapsed = Date.now() - this.turnStartTime;
-    const remaining = Math.max(0, TURN_TIME_MS - elapsed);
     return {
       gameType: 'mancala',
       pits: this.pits.slice(),
@@ -106,10 +205,13 @@ class MancalaGame {
       isMyTurn: !this.gameOver && this.currentPlayer === playerIndex,
       playerIndex,
       scores: [this.pits[6], this.pits[13]],
+      rules: this.rules,
+      seedsPerPit: this.seedsPerPit,
+      quietPlies: this.quietPlies,
+      legalPits: !this.gameOver && this.currentPlayer === playerIndex ? this._legalPits(playerIndex) : [],
       gameOver: this.gameOver,
       winner: this.winner,
-      turnTimeMs: TURN_TIME_MS,
-      turnRemainingMs: remaining,
+      ...this._timerState(),
     };
   }
 }
@@ -1,53 +1,109 @@
-const TURN_TIME_MS = 30000;
+const BaseGame = require('./base');
+
 const GRID_SIZE = 15;
 const WIN_LENGTH = 5;
+const BLACK = 0;
+const WHITE = 1;
+const DIRECTIONS = [[0, 1], [1, 0], [1, 1], [1, -1]];
+
+// Board cells hold stone colours, not players: black moves first and stones
+// alternate black, white, black... whoever places them.
+//
+// rules   freestyle  five or more in a row wins
+//         exact      exactly five wins; overlines do not count
+//         renju      black wins only with exactly five and may not play a
+//                    double three, double four or overline (a five still
+//                    wins); white wins with five or more
+//
+// opening none   the coin-flip winner takes black
+//         swap   the coin-flip winner places the first three stones and the
+//                other player picks a colour (choose_color)
+//         swap2  as swap, but the other player may instead place stones four
+//                and five (place_two) and leave the pick to the opener
+class MorpionGame extends BaseGame {
+  static meta = {
+    id: 'morpion',
+    name: 'Morpion',
+    icon: '✚',
+    players: { min: 2, max: 2 },
+    turnTimeMs: 30000,
+    timeoutPolicy: { consecutive: 3, total: 5 },
+    options: {
+      rules: { values: ['freestyle', 'exact', 'renju'], default: 'freestyle' },
+      opening: { values: ['none', 'swap', 'swap2'], default: 'none' },
+    },
+  };
 
-class MorpionGame {
   constructor() {
+    super();
     this.board = [];
     this.size = GRID_SIZE;
     this.winLength = WIN_LENGTH;
-    this.currentPlayer = 0;
-    this.gameOver = false;
-    this.winner = null;
     this.winningCells = [];
-    this.turnStartTime = Date.now();
     this.moveCount = 0;
     this.lastMove = null;
+    this.rules = 'freestyle';
+    this.opening = 'none';
+    this.phase = 'play';
+    this.opener = 0;
+    this.colors = [BLACK, WHITE];
   }
 
   init(numPlayers, options = {}) {
     this.size = options.gridSize || GRID_SIZE;
     this.winLength = WIN_LENGTH;
+    this.rules = options.rules || 'freestyle';
+    this.opening = options.opening || 'none';
     this.board = Array(this.size * this.size).fill(null);
-    this.currentPlayer = Math.random() < 0.5 ? 0 : 1;
-    this.turnStartTime = Date.now();
+    this.opener = this.random() < 0.5 ? 0 : 1;
+    this.currentPlayer = this.opener;
+    if (this.opening === 'none') {
+      this._setColor(this.opener, BLACK);
+      this.phase = 'play';
+    } else {
+      this.colors = [null, null];
+      this.phase = 'open';
+    }
+    this._startTurn();
     this.moveCount = 0;
     this.lastMove = null;
     this.winningCells = [];
   }
 
-  handleAction(playerIndex, action) {
-    if (this.gameOver) return { error: 'Game is over' };
-    if (action.type === 'resign') {
-      this.gameOver = true;
-      this.winner = 1 - playerIndex;
-      return { gameOver: true, winner: this.winner, resigned: true };
-    }
+  _setColor(player, color) {
+    this.colors[player] = color;
+    this.colors[1 - player] = 1 - color;
+  }
+
+  _nextColor() {
+    return this.moveCount % 2 === 0 ? BLACK : WHITE;
+  }
+
+  _applyAction(playerIndex, action) {
     if (playerIndex !== this.currentPlayer) return { error: 'Not your turn' };
-    if (action.type !== 'place') return { error: 'Invalid action' };
+    if (action.type === 'place') return this._place(playerIndex, action.cell);
+    if (action.type === 'choose_color') return this._chooseColor(playerIndex, action.color);
+    if (action.type === 'place_two') return this._placeTwo();
+    return { error: 'Invalid action' };
+  }
 
-    const { cell } = action;
+  _place(playerIndex, cell) {
+    if (this.phase === 'choose') return { error: 'Choose a colour first' };
     const total = this.size * this.size;
-    if (cell < 0 || cell >= total || this.board[cell] !== null) {
+    if (!Number.isInteger(cell) || cell < 0 || cell >= total || this.board[cell] !== null) {
       return { error: 'Invalid cell' };
     }
 
-    this.board[cell] = playerIndex;
+    const color = this._nextColor();
+    this.board[cell] = color;
+    const winResult = this._winningLine(cell, color);
+    if (!winResult && this.rules === 'renju' && color === BLACK && this._isForbidden(cell)) {
+      this.board[cell] = null;
+      return { error: 'Forbidden move for black' };
+    }
     this.moveCount++;
     this.lastMove = cell;
 
-    const winResult = this._checkWin(cell, playerIndex);
     if (winResult) {
       this.gameOver = true;
       this.winner = playerIndex;
@@ -61,85 +117,205 @@ class MorpionGame {
       return { gameOver: true, winner: null };
     }
 
-    this.currentPlayer = 1 - this.currentPlayer;
-    this.turnStartTime = Date.now();
+    if (this.phase === 'play') {
+      this.currentPlayer = 1 - this.currentPlayer;
+    } else if (this.phase === 'open' && this.moveCount === 3) {
+      this.phase = 'choose';
+      this.currentPlayer = 1 - this.opener;
+    } else if (this.phase === 'extra' && this.moveCount === 5) {
+      this.phase = 'choose';
+      this.currentPlayer = this.opener;
+    }
+    this._startTurn();
     return { gameOver: false };
   }
 
-  _checkWin(cell, player) {
-    const s = this.size;
-    const r = Math.floor(cell / s);
-    const c = cell % s;
-    const directions = [[0, 1], [1, 0], [1, 1], [1, -1]];
+  _chooseColor(playerIndex, color) {
+    if (this.phase !== 'choose') return { error: 'There is no colour to choose' };
+    if (color !== 'black' && color !== 'white') return { error: 'Invalid colour' };
+    this._setColor(playerIndex, color === 'black' ? BLACK : WHITE);
+    this.phase = 'play';
+    this.currentPlayer = this.colors.indexOf(this._nextColor());
+    this._startTurn();
+    return { gameOver: false, colors: this.colors.slice() };
+  }
 
-    for (const [dr, dc] of directions) {
-      const cells = [cell];
-      for (let step = 1; step < this.winLength; step++) {
-        const nr = r + dr * step, nc = c + dc * step;
-        if (nr < 0 || nr >= s || nc < 0 || nc >= s) break;
-        if (this.board[nr * s + nc] !== player) break;
-        cells.push(nr * s + nc);
-      }
-      for (let step = 1; step < this.winLength; step++) {
-        const nr = r - dr * step, nc = c - dc * step;
-        if (nr < 0 || nr >= s || nc < 0 || nc >= s) break;
-        if (this.board[nr * s + nc] !== player) break;
-        cells.push(nr * s + nc);
-      }
-      if (cells.length >= this.winLength) return cells;
+  _placeTwo() {
+    if (this.opening !== 'swap2' || this.phase !== 'choose' || this.moveCount !== 3) {
+      return { error: 'You cannot place two more stones now' };
+    }
+    this.phase = 'extra';
+    this._startTurn();
+    return { gameOver: false };
+  }
+
+  _cellAt(r, c) {
+    return r < 0 || r >= this.size || c < 0 || c >= this.size ? -1 : r * this.size + c;
+  }
+
+  // How many `color` stones follow `cell` going one way (sign 1 or -1).
+  _reach(cell, color, dr, dc, sign) {
+    let step = 0;
+    for (;;) {
+      const idx = this._offset(cell, dr, dc, (step + 1) * sign);
+      if (idx === -1 || this.board[idx] !== color) return step;
+      step++;
+    }
+  }
+
+  // The cell `steps` away from `cell` along a direction, or -1.
+  _offset(cell, dr, dc, steps) {
+    return this._cellAt(Math.floor(cell / this.size) + dr * steps, cell % this.size + dc * steps);
+  }
+
+  // The unbroken run of `color` through `cell` along one direction.
+  _run(cell, color, dr, dc) {
+    const cells = [];
+    const back = this._reach(cell, color, dr, dc, -1);
+    const ahead = this._reach(cell, color, dr, dc, 1);
+    for (let k = -back; k <= ahead; k++) cells.push(this._offset(cell, dr, dc, k));
+    return cells;
+  }
+
+  _winningLine(cell, color) {
+    const overlineWins = this.rules === 'freestyle' || (this.rules === 'renju' && color === WHITE);
+    for (const [dr, dc] of DIRECTIONS) {
+      const run = this._run(cell, color, dr, dc);
+      if (run.length === this.winLength || (overlineWins && run.length > this.winLength)) return run;
     }
     return null;
   }
 
-  autoPlayForTimeout(playerIndex) {
-    const center = Math.floor(this.size / 2);
-    const centerIdx = center * this.size + center;
-    if (this.board[centerIdx] === null) {
-      return this.handleAction(playerIndex, { type: 'place', cell: centerIdx });
+  // Renju restrictions on a black stone already placed at `cell`.
+  _isForbidden(cell) {
+    let fours = 0;
+    let threes = 0;
+    for (const [dr, dc] of DIRECTIONS) {
+      if (this._run(cell, BLACK, dr, dc).length > this.winLength) return true;
+      fours += this._fours(cell, dr, dc);
+      if (this._isThree(cell, dr, dc)) threes++;
     }
+    return fours >= 2 || threes >= 2;
+  }
 
+  // Line cells at offsets -reach..reach from `cell`; -1 where off the board.
+  _line(cell, dr, dc, reach) {
+    const line = [];
+    for (let k = -reach; k <= reach; k++) line.push(this._offset(cell, dr, dc, k));
+    return line;
+  }
+
+  // Distinct fours through `cell` in one direction: sets of four black
+  // stones that one more stone would turn into exactly five.
+  _fours(cell, dr, dc) {
+    const line = this._line(cell, dr, dc, this.winLength);
+    const seen = new Set();
+    for (let start = 1; start <= this.winLength; start++) {
+      const window = line.slice(start, start + this.winLength);
+      if (window.includes(-1)) continue;
+      const empty = window.filter((idx) => this.board[idx] === null);
+      const black = window.filter((idx) => this.board[idx] === BLACK);
+      if (empty.length !== 1 || black.length !== this.winLength - 1) continue;
+      const before = line[start - 1], after = line[start + this.winLength];
+      if ((before !== -1 && this.board[before] === BLACK) || (after !== -1 && this.board[after] === BLACK)) continue;
+      seen.add(black.join(','));
+    }
+    return seen.size;
+  }
+
+  // A three is a line one stone away from a straight four: four in a row
+  // with both ends open, each end making exactly five.
+  _isThree(cell, dr, dc) {
+    const line = this._line(cell, dr, dc, this.winLength - 1);
+    for (const point of line) {
+      if (point === -1 || this.board[point] !== null) continue;
+      this.board[point] = BLACK;
+      const straight = this._isStraightFour(cell, point, dr, dc);
+      this.board[point] = null;
+      if (straight) return true;
+    }
+    return false;
+  }
+
+  _isStraightFour(cell, point, dr, dc) {
+    const run = this._run(cell, BLACK, dr, dc);
+    if (run.length !== this.winLength - 1 || !run.includes(point)) return false;
+    for (const sign of [1, -1]) {
+      const steps = this._reach(cell, BLACK, dr, dc, sign) + 1;
+      const end = this._offset(cell, dr, dc, steps * sign);
+      const beyond = this._offset(cell, dr, dc, (steps + 1) * sign);
+      if (end === -1 || this.board[end] !== null) return false;
+      if (beyond !== -1 && this.board[beyond] === BLACK) return false;
+    }
+    return true;
+  }
+
+  // Cells black may not play, for the player about to place a black stone.
+  _forbiddenCells() {
+    const cells = [];
+    for (let i = 0; i < this.board.length; i++) {
+      if (this.board[i] !== null) continue;
+      this.board[i] = BLACK;
+      if (!this._winningLine(i, BLACK) && this._isForbidden(i)) cells.push(i);
+      this.board[i] = null;
+    }
+    return cells;
+  }
+
+  autoPlayForTimeout(playerIndex) {
+    if (this.phase === 'choose') return this.handleAction(playerIndex, { type: 'choose_color', color: 'black' });
+
+    const candidates = [];
+    const center = Math.floor(this.size / 2);
+    candidates.push(center * this.size + center);
     if (this.lastMove !== null) {
       const lr = Math.floor(this.lastMove / this.size);
       const lc = this.lastMove % this.size;
       for (let dr = -1; dr <= 1; dr++) {
         for (let dc = -1; dc <= 1; dc++) {
           if (dr === 0 && dc === 0) continue;
-          const nr = lr + dr, nc = lc + dc;
-          if (nr >= 0 && nr < this.size && nc >= 0 && nc < this.size) {
-            const idx = nr * this.size + nc;
-            if (this.board[idx] === null) {
-              return this.handleAction(playerIndex, { type: 'place', cell: idx });
-            }
-          }
+          const idx = this._cellAt(lr + dr, lc + dc);
+          if (idx !== -1) candidates.push(idx);
         }
       }
     }
+    for (let i = 0; i < this.board.length; i++) candidates.push(i);
 
-    for (let i = 0; i < this.board.length; i++) {
-      if (this.board[i] === null) return this.handleAction(playerIndex, { type: 'place', cell: i });
+    // Forbidden cells are turned down by _place, so try the next one.
+    for (const cell of candidates) {
+      if (this.board[cell] !== null) continue;
+      const result = this.handleAction(playerIndex, { type: 'place', cell });
+      if (!result.error) return result;
     }
     return null;
   }
 
   getStateForPlayer(playerIndex) {
-    const elapsed = Date.now() - this.turnStartTime;
-    const remaining = Math.max(0, TURN_TIME_MS - elapsed);
+    const color = this.colors[playerIndex];
+    const isMyTurn = !this.gameOver && this.currentPlayer === playerIndex;
+    const placingBlack = isMyTurn && this.phase !== 'choose' && this._nextColor() === BLACK;
     return {
       gameType: 'morpion',
       board: this.board.slice(),
       size: this.size,
       winLength: this.winLength,
       currentPlayer: this.currentPlayer,
-      isMyTurn: !this.gameOver && this.currentPlayer === playerIndex,
+      isMyTurn,
       playerIndex,
-      symbol: playerIndex === 0 ? 'X' : 'O',
+      symbol: color === BLACK ? 'X' : color === WHITE ? 'O' : null,
+      colors: this.colors.slice(),
+      rules: this.rules,
+      opening: this.opening,
+      phase: this.phase,
+      opener: this.opener,
+      nextColor: this._nextColor() === BLACK ? 'black' : 'white',
+      forbiddenCells: this.rules === 'renju' && placingBlack && this.phase === 'play' ? this._forbiddenCells() : [],
       gameOver: this.gameOver,
       winner: this.winner,
       winningCells: this.winningCells,
       lastMove: this.lastMove,
       moveCount: this.moveCount,
-      turnTimeMs: TURN_TIME_MS,
-      turnRemainingMs: remaining,
+      ...this._timerState(),
     };
   }
 }
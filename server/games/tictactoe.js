@@ -1,23 +1,55 @@
-class TicTacToeGame {
+const BaseGame = require('./base');
+
+// gridSize 9 is Ultimate Tic-Tac-Toe: nine 3x3 boards in a 3x3 frame. The
+// cell you take within a small board sends your opponent to the matching
+// board; if that board is already decided they may play in any open one.
+// Three in a row takes a small board, three small boards in a row take the
+// game, and drawn small boards count for nobody.
+const ULTIMATE_SIZE = 9;
+const LINES = [
+  [0, 1, 2], [3, 4, 5], [6, 7, 8],
+  [0, 3, 6], [1, 4, 7], [2, 5, 8],
+  [0, 4, 8], [2, 4, 6],
+];
+
+class TicTacToeGame extends BaseGame {
+  static meta = {
+    id: 'tictactoe',
+    name: 'Tic Tac Toe',
+    icon: '\u2715\u25CB',
+    players: { min: 2, max: 2 },
+    turnTimeMs: 20000,
+    timeoutPolicy: { consecutive: 2, total: 3 },
+    options: {
+      gridSize: { values: [3, 5, 7, ULTIMATE_SIZE], default: 3 },
+    },
+  };
+
   constructor() {
+    super();
     this.size = 3;
     this.winLength = 3;
     this.board = [];
-    this.currentPlayer = 0;
-    this.gameOver = false;
-    this.winner = null;
+    this.ultimate = false;
+    this.subResults = [];
+    this.activeBoard = null;
+    this.lastMove = null;
   }
 
   init(numPlayers, options = {}) {
     this.size = options.gridSize || 3;
+    this.ultimate = this.size === ULTIMATE_SIZE;
     // 3x3 = 3 in a row, 5x5 = 4 in a row, 7x7 = 4 in a row
-    this.winLength = this.size <= 3 ? 3 : 4;
+    this.winLength = this.size <= 3 || this.ultimate ? 3 : 4;
     this.board = Array(this.size * this.size).fill(null);
-    this.currentPlayer = Math.random() < 0.5 ? 0 : 1;
+    this.subResults = this.ultimate ? Array(9).fill(null) : [];
+    this.activeBoard = null;
+    this.lastMove = null;
+    this.currentPlayer = this.random() < 0.5 ? 0 : 1;
+    this._startTurn();
   }
 
-  handleAction(playerIndex, action) {
-    if (this.gameOver) return { error: 'Game is over' };
+  _applyAction(playerIndex, action) {
     if (playerIndex !== this.currentPlayer) return { error: 'Not your turn' };
     if (action.type !== 'place') return { error: 'Invalid action' };
 
@@ -26,8 +58,10 @@ class TicTacToeGame {
     if (cell < 0 || cell >= total || this.board[cell] !== null) {
       return { error: 'Invalid cell' };
     }
+    if (this.ultimate) return this._placeUltimate(playerIndex, cell);
 
     this.board[cell] = playerIndex;
+    this.lastMove = cell;
 
     if (this._checkWin(playerIndex)) {
       this.gameOver = true;
@@ -42,9 +76,79 @@ class TicTacToeGame {
     }
 
     this.currentPlayer = 1 - this.currentPlayer;
+    this._startTurn();
+    return { gameOver: false };
+  }
+
+  // Small board `sub` holds cells at rows and columns 3*(sub/3)..+2.
+  _subCells(sub) {
+    const top = Math.floor(sub / 3) * 3, left = (sub % 3) * 3;
+    const cells = [];
+    for (let k = 0; k < 9; k++) cells.push((top + Math.floor(k / 3)) * ULTIMATE_SIZE + left + (k % 3));
+    return cells;
+  }
+
+  _subOf(cell) {
+    const r = Math.floor(cell / ULTIMATE_SIZE), c = cell % ULTIMATE_SIZE;
+    return Math.floor(r / 3) * 3 + Math.floor(c / 3);
+  }
+
+  _placeUltimate(playerIndex, cell) {
+    const sub = this._subOf(cell);
+    if (this.subResults[sub] !== null) return { error: 'That board is already decided' };
+    if (this.activeBoard !== null && sub !== this.activeBoard) return { error: 'You must play in the highlighted board' };
+
+    this.board[cell] = playerIndex;
+    this.lastMove = cell;
+    const cells = this._subCells(sub);
+    if (LINES.some((line) => line.every((k) => this.board[cells[k]] === playerIndex))) {
+      this.subResults[sub] = playerIndex;
+    } else if (cells.every((idx) => this.board[idx] !== null)) {
+      this.subResults[sub] = 'draw';
+    }
+
+    if (LINES.some((line) => line.every((k) => this.subResults[k] === playerIndex))) {
+      this.gameOver = true;
+      this.winner = playerIndex;
+      return { gameOver: true, winner: playerIndex };
+    }
+    if (this.subResults.every((result) => result !== null)) {
+      this.gameOver = true;
+      this.winner = null;
+      return { gameOver: true, winner: null };
+    }
+
+    // Where the cell sits in its small board picks the next board.
+    const r = Math.floor(cell / ULTIMATE_SIZE), c = cell % ULTIMATE_SIZE;
+    const target = (r % 3) * 3 + (c % 3);
+    this.activeBoard = this.subResults[target] === null ? target : null;
+    this.currentPlayer = 1 - this.currentPlayer;
+    this._startTurn();
     return { gameOver: false };
   }
 
+  _legalCells() {
+    const cells = [];
+    for (let i = 0; i < this.board.length; i++) {
+      if (this.board[i] !== null) continue;
+      if (this.ultimate) {
+        const sub = this._subOf(i);
+        if (this.subResults[sub] !== null || (this.activeBoard !== null && sub !== this.activeBoard)) continue;
+      }
+      cells.push(i);
+    }
+    return cells;
+  }
+
+  // The middle cell when it is free, otherwise the first legal one.
+  autoPlayForTimeout(playerIndex) {
+    const cells = this._legalCells();
+    if (!cells.length) return null;
+    const middle = (this.size * this.size - 1) / 2;
+    const cell = cells.includes(middle) ? middle : cells[0];
+    return this.handleAction(playerIndex, { type: 'place', cell });
+  }
+
   _checkWin(p) {
     const s = this.size;
     const w = this.winLength;
@@ -83,11 +187,16 @@ class TicTacToeGame {
       size: this.size,
       winLength: this.winLength,
       currentPlayer: this.currentPlayer,
-      isMyTurn: this.currentPlayer === playerIndex,
+      isMyTurn: !this.gameOver && this.currentPlayer === playerIndex,
       playerIndex,
       symbol: playerIndex === 0 ? 'X' : 'O',
+      ultimate: this.ultimate,
+      subResults: this.subResults,
+      activeBoard: this.activeBoard,
+      lastMove: this.lastMove,
       gameOver: this.gameOver,
       winner: this.winner,
+      ...this._timerState(),
     };
   }
 }
@@ -3,18 +3,22 @@ const express = require('express');
 const http = require('http');
 const { Server } = require('socket.io');
 const path = require('path');
+const crypto = require('crypto');
 const cors = require('cors');
 const { v4: uuidv4 } = require('uuid');
 const {
   Keypair, Connection, PublicKey, LAMPORTS_PER_SOL,
-  Transaction, SystemProgram, sendAndConfirmTransaction,
 } = require('@solana/web3.js');
-const DominoGame = require('./games/domino');
-const TicTacToeGame = require('./games/tictactoe');
-const MancalaGame = require('./games/mancala');
-const CheckersGame = require('./games/checkers');
-const ChessGame = require('./games/chess');
-const MorpionGame = require('./games/morpion');
+const games = require('./games');
+const bots = require('./bots');
+const store = require('./store');
+const ratings = require('./ratings');
+const matchmaker = require('./matchmaker');
+const auth = require('./auth');
+const chat = require('./chat');
+const { replay } = require('./replay');
+const fairness = require('./fairness');
+const { PayoutQueue } = require('./payouts');
 
 const SOLANA_RPC = process.env.SOLANA_RPC || 'https://solana-rpc.publicnode.com';
 const solanaConnection = new Connection(SOLANA_RPC, 'confirmed');
@@ -44,130 +48,638 @@ app.get('/api/escrow', (req, res) => {
   res.json({ escrowAddress: ESCROW_ADDRESS });
 });
 
+app.get('/api/games', (req, res) => {
+  res.json({ games: games.list() });
+});
+
 const rooms = new Map();
 const players = new Map();
 const matchQueue = new Map();
 const usedSignatures = new Set();
+const sessions = new Map();
+const betIntents = new Map();
+const spectating = new Map();
 
 const HOUSE_FEE = 0.10;
 const HOUSE_WALLET = '2LK7yxZsy6YVCkFQ4PrL644ve1fgRj5FuDexj5JgS753';
 const TEST_MODE = process.env.TEST_MODE === '1';
+const RECONNECT_GRACE_MS = parseInt(process.env.RECONNECT_GRACE_MS, 10) || 60000;
+const SPECTATOR_DELAY_MS = parseInt(process.env.SPECTATOR_DELAY_MS, 10) || 0;
+const SPECTATOR_DELAY_MIN_BET = parseFloat(process.env.SPECTATOR_DELAY_MIN_BET) || 1;
+const CLIENT_SEED_TIMEOUT_MS = 5000;
+const BOT_OFFER_MS = parseInt(process.env.BOT_OFFER_MS, 10) || 30000;
+const BOT_MOVE_DELAY_MS = 700;
+const MATCH_TICK_MS = 2000;
+const MAX_SEARCH_GAMES = 6;
+const SESSION_IDLE_MS = 24 * 60 * 60 * 1000;
+const SESSION_SWEEP_MS = 10 * 60 * 1000;
+
+const payouts = new PayoutQueue({
+  connection: solanaConnection,
+  escrowKeypair,
+  store,
+  testMode: TEST_MODE,
+  onUpdate: notifyPayout,
+});
+
+function notifyPayout(job) {
+  for (const [sid, p] of players) {
+    if (p.walletAddress !== job.wallet) continue;
+    const sock = io.sockets.sockets.get(sid);
+    if (!sock) continue;
+    sock.emit('payout_update', {
+      key: job.key, kind: job.kind, amount: job.amount, status: job.status, signature: job.signature,
+    });
+    if (job.status === 'settled' && job.message) sock.emit('balance_update', { refreshWallet: true, msg: job.message });
+  }
+}
+
+function requireAdmin(req, res, next) {
+  if (!process.env.ADMIN_TOKEN || req.get('x-admin-token') !== process.env.ADMIN_TOKEN) {
+    return res.status(403).json({ error: 'Forbidden' });
+  }
+  next();
+}
+
+app.get('/api/players/:wallet/payouts', (req, res) => {
+  res.json({ payouts: payouts.list({ wallet: req.params.wallet }) });
+});
+
+app.get('/api/players/:wallet/ratings', (req, res) => {
+  res.json({ ratings: ratings.forWallet(req.params.wallet) });
+});
+
+app.get('/api/leaderboard/:gameType', (req, res) => {
+  if (!games.has(req.params.gameType)) return res.status(404).json({ error: 'Unknown game type' });
+  const limit = parseInt(req.query.limit, 10);
+  res.json({ gameType: req.params.gameType, leaderboard: ratings.leaderboard(req.params.gameType, limit > 0 ? limit : undefined) });
+});
+
+app.get('/api/admin/payouts', requireAdmin, (req, res) => {
+  res.json({ payouts: payouts.list({ status: req.query.status }) });
+});
+
+app.post('/api/admin/payouts/:key/retry', requireAdmin, (req, res) => {
+  const job = payouts.retry(req.params.key);
+  if (!job) return res.status(404).json({ error: 'No unsettled payout with that key' });
+  res.json({ payout: job });
+});
+
+app.post('/api/admin/payouts/:key/resolve', requireAdmin, (req, res) => {
+  const job = payouts.resolve(req.params.key, req.body && req.body.signature);
+  if (!job) return res.status(404).json({ error: 'No unsettled payout with that key' });
+  res.json({ payout: job });
+});
+
+app.get('/api/admin/matches/:id', requireAdmin, async (req, res) => {
+  const room = rooms.get(req.params.id);
+  const match = room && room.seats ? matchRecord(room) : await findMatch(req.params.id);
+  if (!match) return res.status(404).json({ error: 'No match with that id' });
+  res.json({ match: expandMatch(match) });
+});
+
+app.get('/api/matches/:id', async (req, res) => {
+  const match = await findMatch(req.params.id);
+  if (!match) return res.status(404).json({ error: 'No finished match with that id' });
+  res.json({ match: publicMatch(match) });
+});
+
+app.get('/api/matches/:id/replay', async (req, res) => {
+  const match = await findMatch(req.params.id);
+  if (!match) return res.status(404).json({ error: 'No finished match with that id' });
+  const seat = req.query.seat !== undefined ? parseInt(req.query.seat, 10) : null;
+  if (seat !== null && !(seat >= 0 && seat < match.seats.length)) return res.status(400).json({ error: 'Invalid seat' });
+  try {
+    res.json({ matchId: match.id, gameType: match.gameType, result: match.result, frames: replay(expandMatch(match), seat) });
+  } catch (e) {
+    res.status(409).json({ error: e.message });
+  }
+});
+
+app.get('/api/matches/:id/pgn', async (req, res) => {
+  const match = await findMatch(req.params.id);
+  if (!match || !match.pgn) return res.status(404).json({ error: 'No finished chess match with that id' });
+  res.type('application/x-chess-pgn');
+  res.attachment(`${match.id}.pgn`);
+  res.send(match.pgn);
+});
+
+const MEMO_PROGRAM_ID = 'MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr';
+const BET_INTENT_TTL_MS = 10 * 60 * 1000;
+const MAX_PAYMENT_AGE_MS = 10 * 60 * 1000;
+
+// A bet intent is issued before the client signs its deposit. The deposit
+// carries the intent id in a memo, which ties that transaction to one
+// wallet, one amount and one use.
+function createBetIntent(walletAddress, amount) {
+  for (const [id, intent] of betIntents) {
+    if (intent.expiresAt < Date.now()) betIntents.delete(id);
+  }
+  const id = uuidv4().replace(/-/g, '').slice(0, 16);
+  const intent = { id, walletAddress, amount, lamports: Math.round(amount * LAMPORTS_PER_SOL), expiresAt: Date.now() + BET_INTENT_TTL_MS };
+  betIntents.set(id, intent);
+  return intent;
+}
+
+function betMemo(intentId) {
+  return 'zg:' + intentId;
+}
+
+async function verifyBetPayment(signature, expectedAmount, walletAddress, intentId) {
+  if (usedSignatures.has(signature) || await store.isSignatureUsed(signature)) {
+    return { ok: false, error: 'Transaction already used' };
+  }
 
-async function sendSOL(toAddress, amount) {
-  const destPubKey = new PublicKey(toAddress);
-  const lamports = Math.floor(amount * LAMPORTS_PER_SOL);
-  const tx = new Transaction().add(
-    SystemProgram.transfer({
-      fromPubkey: escrowKeypair.publicKey,
-      toPubkey: destPubKey,
-      lamports,
-    })
-  );
-  const sig = await sendAndConfirmTransaction(solanaConnection, tx, [escrowKeypair]);
-  console.log(`Sent ${amount} SOL to ${toAddress} — tx: ${sig}`);
-  return sig;
-}
-
-async function verifyBetPayment(signature, expectedAmount) {
-  if (usedSignatures.has(signature)) return { ok: false, error: 'Transaction already used' };
-
-  const tx = await solanaConnection.getTransaction(signature, {
+  const intent = betIntents.get(intentId);
+  if (!intent || intent.expiresAt < Date.now()) return { ok: false, error: 'Bet expired — please place it again' };
+  if (intent.walletAddress !== walletAddress) return { ok: false, error: 'This bet belongs to another wallet' };
+  if (intent.lamports !== Math.round(expectedAmount * LAMPORTS_PER_SOL)) return { ok: false, error: 'Bet amount does not match' };
+
+  const tx = await solanaConnection.getParsedTransaction(signature, {
     commitment: 'confirmed',
     maxSupportedTransactionVersion: 0,
   });
   if (!tx || tx.meta.err) return { ok: false, error: 'Transaction not found or failed' };
 
-  const accountKeys = tx.transaction.message.staticAccountKeys || tx.transaction.message.accountKeys;
-  const escrowIndex = accountKeys.findIndex(k => k.toBase58() === ESCROW_ADDRESS);
-  if (escrowIndex === -1) return { ok: false, error: 'Transaction does not pay the escrow' };
+  if (!tx.blockTime || Date.now() - tx.blockTime * 1000 > MAX_PAYMENT_AGE_MS) {
+    return { ok: false, error: 'Transaction is too old' };
+  }
+
+  const { accountKeys, instructions } = tx.transaction.message;
+  if (accountKeys[0].pubkey.toBase58() !== walletAddress) {
+    return { ok: false, error: 'Transaction was not paid by your wallet' };
+  }
+
+  const transfers = instructions.filter((ix) =>
+    ix.program === 'system' && ix.parsed && ix.parsed.type === 'transfer' && ix.parsed.info.destination === ESCROW_ADDRESS);
+  if (transfers.length !== 1) return { ok: false, error: 'Transaction must contain exactly one transfer to the escrow' };
 
-  const received = (tx.meta.postBalances[escrowIndex] - tx.meta.preBalances[escrowIndex]) / LAMPORTS_PER_SOL;
-  if (received < expectedAmount * 0.99) return { ok: false, error: 'Insufficient payment. Received ' + received.toFixed(6) + ' SOL' };
+  const { source, lamports } = transfers[0].parsed.info;
+  if (source !== walletAddress) return { ok: false, error: 'Transfer was not sent from your wallet' };
+  if (lamports !== intent.lamports) {
+    return { ok: false, error: 'Transfer must be exactly ' + expectedAmount + ' SOL. Received ' + (lamports / LAMPORTS_PER_SOL).toFixed(6) + ' SOL' };
+  }
 
+  const memos = instructions.filter((ix) => ix.programId.toBase58() === MEMO_PROGRAM_ID);
+  if (!memos.some((ix) => ix.parsed === betMemo(intent.id))) {
+    return { ok: false, error: 'Transaction memo does not reference this bet' };
+  }
+
+  if (usedSignatures.has(signature) || !betIntents.has(intent.id)) return { ok: false, error: 'Transaction already used' };
   usedSignatures.add(signature);
+  betIntents.delete(intent.id);
+  const received = lamports / LAMPORTS_PER_SOL;
+  await store.markSignatureUsed(signature, { walletAddress, amount: received, betId: intent.id });
   return { ok: true, received };
 }
 
+// A queue entry is one search: a player's paid stake, the lowest stake they
+// accept and the games they want. Players who join a search from the lobby
+// wait in `joined` until the matchmaker fills the rest of the table; see
+// matchmaker.js.
+function enqueueMatch(key, entry) {
+  matchQueue.set(key, entry);
+  const p = players.get(entry.socketId);
+  store.saveQueueEntry(key, {
+    wants: entry.wants.map(({ gameType, options }) => ({ gameType, options })), locked: entry.locked || null,
+    bet: entry.bet, minBet: entry.minBet, txSignature: entry.txSignature || null,
+    walletAddress: entry.walletAddress, displayName: p ? p.displayName : null, startedAt: entry.startedAt,
+    joined: entry.joined.map((seat) => ({ txSignature: seat.txSignature || null, walletAddress: seat.walletAddress })),
+  });
+}
+
+function dequeueMatch(key) {
+  matchQueue.delete(key);
+  store.removeQueueEntry(key);
+}
+
+function queuedSockets(entry) {
+  return [entry.socketId, ...entry.joined.map((seat) => seat.socketId)];
+}
+
+// A player in a game still being played (a practice game included) can
+// neither search nor start another.
+function inLiveRoom(player) {
+  const room = player.roomId && rooms.get(player.roomId);
+  return !!(room && room.state === 'playing');
+}
+
+function findSearch(socketId) {
+  for (const entry of matchQueue.values()) {
+    if (queuedSockets(entry).includes(socketId)) return entry;
+  }
+  return null;
+}
+
+// Takes a socket's search out of the queue and refunds its stake. If the
+// search's opener leaves, the next seat to have joined takes the entry over.
+function leaveQueue(socketId, walletAddress) {
+  for (const [key, entry] of matchQueue) {
+    if (entry.socketId === socketId) {
+      refundQueueEntry(key, entry, walletAddress);
+      const next = entry.joined.shift();
+      if (next) enqueueMatch(key, { ...entry, socketId: next.socketId, txSignature: next.txSignature, walletAddress: next.walletAddress });
+      else dequeueMatch(key);
+      return;
+    }
+    const idx = entry.joined.findIndex((seat) => seat.socketId === socketId);
+    if (idx !== -1) {
+      const [seat] = entry.joined.splice(idx, 1);
+      refundQueueEntry(key, { bet: entry.bet, txSignature: seat.txSignature }, walletAddress);
+      enqueueMatch(key, entry);
+      return;
+    }
+  }
+}
+
+// Seats a player who accepted a search from the lobby. Choosing a search
+// by hand skips the rating window, and holds the search to that game at
+// its full stake. Returns true once the table is full and its room has
+// been opened.
+function takeSeat(key, entry, want, socketId, txSignature, walletAddress) {
+  entry.locked = want.key;
+  entry.minBet = entry.bet;
+  entry.joined.push({ socketId, txSignature, walletAddress });
+  if (queuedSockets(entry).length < games.seatCount(want.gameType, want.options)) {
+    enqueueMatch(key, entry);
+    emitWaiting(entry);
+    return false;
+  }
+  dequeueMatch(key);
+  matchmaker.recordWait(want.gameType, Date.now() - entry.startedAt);
+  openRoom(want.gameType, want.options, entry.bet, queuedSockets(entry));
+  return true;
+}
+
+// Opens every table the matchmaker can form, refunding each player the
+// part of their stake above the one the table plays for. Searches still
+// waiting hear about it whenever their rating window widens.
+function runMatchmaker() {
+  const now = Date.now();
+  let table;
+  let matched = false;
+  while ((table = matchmaker.findTable(matchQueue.values(), now))) {
+    matched = true;
+    const sockets = [];
+    for (const entry of table.searches) {
+      dequeueMatch(entry.id);
+      matchmaker.recordWait(table.gameType, now - entry.startedAt);
+      for (const seat of matchmaker.members(entry)) {
+        sockets.push(seat.socketId);
+        refundExcess(entry, seat, table.stake);
+      }
+    }
+    openRoom(table.gameType, table.options, table.stake, sockets);
+  }
+  for (const entry of matchQueue.values()) {
+    if (matchmaker.ratingWindow(entry, now) !== entry.windowShown) emitWaiting(entry);
+  }
+  if (matched) broadcastLobby();
+}
+
+function refundExcess(entry, seat, stake) {
+  const excess = Math.round((entry.bet - stake) * LAMPORTS_PER_SOL) / LAMPORTS_PER_SOL;
+  if (excess <= 0 || !seat.walletAddress) return;
+  payouts.enqueue({
+    key: 'queue:' + (seat.txSignature || entry.id + ':' + seat.walletAddress) + ':excess',
+    to: seat.walletAddress, amount: excess, kind: 'refund',
+    message: `Matched at ${stake} SOL — ${excess} SOL refunded`,
+  });
+}
+
+function emitWaiting(entry) {
+  const now = Date.now();
+  const wants = matchmaker.activeWants(entry);
+  const window = matchmaker.ratingWindow(entry, now);
+  entry.windowShown = window;
+  const open = entry.joined.length ? games.seatCount(wants[0].gameType, wants[0].options) - queuedSockets(entry).length : null;
+  const payload = {
+    msg: open === null ? 'Waiting for an opponent...' : open === 1 ? 'Waiting for 1 more player...' : `Waiting for ${open} more players...`,
+    betAmount: entry.bet, minBet: entry.minBet, gameType: wants[0].gameType, gameTypes: [...new Set(wants.map((w) => w.gameType))],
+    ...(open !== null ? { seatsOpen: open } : {}),
+    ratingWindow: window === Infinity ? null : window,
+    estimatedWaitMs: matchmaker.estimateWaitMs(entry, now),
+  };
+  for (const sid of queuedSockets(entry)) {
+    const sock = io.sockets.sockets.get(sid);
+    if (sock) sock.emit('waiting', payload);
+  }
+}
+
+function refundQueueEntry(key, entry, walletAddress) {
+  if (!walletAddress) return;
+  payouts.enqueue({
+    key: 'queue:' + (entry.txSignature || key + ':' + walletAddress),
+    to: walletAddress, amount: entry.bet, kind: 'refund',
+    message: 'Bet refunded to your wallet!',
+  });
+}
+
+function persistRoom(room) {
+  store.saveRoom({
+    id: room.id,
+    gameType: room.gameType,
+    betAmount: room.betAmount,
+    options: room.options || {},
+    state: room.state,
+    createdAt: room.createdAt,
+    seats: (room.seats || []).map((seat) => ({
+      walletAddress: seat.walletAddress, displayName: seat.displayName, sessionHash: seat.sessionHash || null,
+    })),
+    result: room.result || null,
+    settled: !!room.settled,
+    practice: !!room.practice,
+    fairness: room.fairness || null,
+    chat: room.chat,
+    game: room.game ? JSON.stringify(room.game.serialize()) : null,
+  });
+}
+
+// The permanent record of a finished match, kept after the room is gone.
+// The action log is stored as a JSON string like the room snapshot's game,
+// since actions may hold nested arrays Firestore cannot store.
+function matchRecord(room) {
+  return {
+    id: room.id,
+    gameType: room.gameType,
+    betAmount: room.betAmount,
+    options: room.options || {},
+    practice: !!room.practice,
+    seats: room.seats.map((seat) => ({ walletAddress: seat.walletAddress, displayName: seat.displayName })),
+    result: room.result || null,
+    seed: room.game ? room.game.seed : null,
+    fairness: fairnessReveal(room),
+    log: JSON.stringify(room.game ? room.game.log : []),
+    // Clock times cannot be rebuilt by a replay, so the transcript is kept.
+    pgn: room.game && room.game.toPGN ? room.game.toPGN(pgnTags(room)) : null,
+    chat: room.chat,
+    createdAt: room.createdAt,
+    finishedAt: room.finishedAt || null,
+  };
+}
+
+function pgnTags(room) {
+  const date = new Date(room.createdAt || Date.now());
+  const pad = (n) => String(n).padStart(2, '0');
+  const tags = {
+    Event: room.practice ? 'ZG practice game' : `ZG ${room.betAmount} SOL match`,
+    Site: 'ZG (Zoot Games)',
+    Date: `${date.getUTCFullYear()}.${pad(date.getUTCMonth() + 1)}.${pad(date.getUTCDate())}`,
+    White: room.seats[0] ? room.seats[0].displayName : '?',
+    Black: room.seats[1] ? room.seats[1].displayName : '?',
+  };
+  // Disconnect forfeits are decided here rather than by the engine.
+  if (room.result) {
+    const { winner, reason } = room.result;
+    tags.Result = winner === 0 ? '1-0' : winner === 1 ? '0-1' : '1/2-1/2';
+    if (reason) tags.Termination = reason;
+  }
+  return tags;
+}
+
+function fairnessReveal(room) {
+  if (!room.fairness) return null;
+  const { serverSeed, serverSeedHash, clientSeeds } = room.fairness;
+  return { serverSeed, serverSeedHash, clientSeeds, seed: room.game ? room.game.seed : null };
+}
+
+const RECENT_MATCH_LIMIT = 200;
+const recentMatches = new Map();
+
+function recordMatch(room) {
+  const record = matchRecord(room);
+  recentMatches.delete(record.id);
+  recentMatches.set(record.id, record);
+  if (recentMatches.size > RECENT_MATCH_LIMIT) recentMatches.delete(recentMatches.keys().next().value);
+  store.saveMatch(record);
+}
+
+async function findMatch(id) {
+  return recentMatches.get(id) || store.loadMatch(id);
+}
+
+function expandMatch(record) {
+  const { log, ...rest } = record;
+  return { ...rest, actions: JSON.parse(log || '[]') };
+}
+
+function publicMatch(record) {
+  const match = expandMatch(record);
+  return { ...match, chat: (match.chat || []).map(chat.publicView) };
+}
+
 function createRoom(gameType, betAmount, player1Socket) {
   const id = uuidv4().slice(0, 8);
-  const room = { id, gameType, betAmount, players: [player1Socket], state: 'waiting', game: null, createdAt: Date.now(), turnTimer: null };
+  const room = {
+    id, gameType, betAmount, players: [player1Socket], spectators: new Set(), chat: [], mutedBy: new Set(),
+    state: 'waiting', game: null, createdAt: Date.now(), turnTimer: null,
+  };
   rooms.set(id, room);
   return room;
 }
 
-async function handleGameOver(room, result) {
+function openRoom(gameType, options, betAmount, socketIds) {
+  const room = createRoom(gameType, betAmount, socketIds[0]);
+  room.options = options;
+  room.players = [...socketIds];
+  room.state = 'playing';
+  room.players.forEach((sid) => {
+    const p = players.get(sid);
+    if (p) p.roomId = room.id;
+    const sock = io.sockets.sockets.get(sid);
+    if (sock) sock.join(room.id);
+  });
+  startGame(room);
+  return room;
+}
+
+// Practice rooms seat one player against bots for nothing: no stake and no
+// payout. The player takes a random seat so they do not always move first.
+function openPracticeRoom(socketId, gameType, options, level) {
+  const room = createRoom(gameType, 0, socketId);
+  const seats = games.seatCount(gameType, options);
+  const human = Math.floor(Math.random() * seats);
+  room.options = options;
+  room.practice = true;
+  room.players = Array.from({ length: seats }, (_, idx) => (idx === human ? socketId : null));
+  room.bots = room.players.map((sid) => (sid ? null : level));
+  room.state = 'playing';
+  players.get(socketId).roomId = room.id;
+  const sock = io.sockets.sockets.get(socketId);
+  if (sock) sock.join(room.id);
+  startGame(room);
+  return room;
+}
+
+// A search still alone in the queue after BOT_OFFER_MS is offered a
+// practice game instead. Taking it up cancels the search, which refunds the
+// stake: bots never play for money.
+function offerBotWhileWaiting(key, socketId) {
+  setTimeout(() => {
+    const entry = matchQueue.get(key);
+    if (!entry || entry.socketId !== socketId || entry.joined.length) return;
+    const want = entry.wants.find((w) => bots.has(w.gameType));
+    if (!want) return;
+    const sock = io.sockets.sockets.get(socketId);
+    if (sock) sock.emit('bot_offer', { gameType: want.gameType, options: want.options });
+  }, BOT_OFFER_MS);
+}
+
+function isBotSeat(room, idx) {
+  return !!(room.bots && room.bots[idx]);
+}
+
+// Bots act after a short pause, one action at a time; every state change
+// schedules the next look. They wait while a player is reconnecting.
+function scheduleBotMove(room) {
+  if (!room.bots || room.botTimer || !room.game || room.game.gameOver) return;
+  if (room.absent && room.absent.size > 0) return;
+  const seat = room.bots.findIndex((level, idx) => level && bots.wantsToAct(room.game, idx));
+  if (seat === -1) return;
+  room.botTimer = setTimeout(() => {
+    room.botTimer = null;
+    playBotMove(room, seat);
+  }, BOT_MOVE_DELAY_MS);
+}
+
+function playBotMove(room, seat) {
+  if (room.state !== 'playing' || !room.game || !bots.wantsToAct(room.game, seat)) return;
+  const action = bots.chooseAction(room.game, seat, room.bots[seat]);
+  let result = action ? room.game.handleAction(seat, action) : null;
+  // A bot that comes up empty gets the move a timed-out player would, but
+  // without the missed turn: the bot did not run out of time.
+  if (!result || result.error) {
+    console.error(`Bot in room ${room.id} had no valid action:`, result ? result.error : 'none chosen');
+    if (room.game.currentPlayer === seat) result = room.game.autoMove(seat);
+  }
+  if (!result || result.error) return;
+  applyActionResult(room, result);
+}
+
+// Turns a room's result into payout jobs. Keys are derived from the room id,
+// so settling the same room twice (e.g. again after a restart) is harmless.
+// Every seat stakes the bet; the pot, less the house cut, is split evenly
+// across the winning seats.
+function settleRoom(room) {
+  const { winner, reason } = room.result;
+  const winners = resultWinners(room.result);
+  const pot = room.betAmount * room.seats.length;
+  const houseCut = pot * HOUSE_FEE;
+  const payout = winners.length ? (pot - houseCut) / winners.length : 0;
+
+  if (winner !== null) {
+    const left = reason === 'Opponent disconnected' || room.result.abandoned != null;
+    const prefix = left ? 'Opponent left — you won ' : 'You won ';
+    let paid = false;
+    winners.forEach((idx) => {
+      const seat = room.seats[idx];
+      if (!seat || !seat.walletAddress) return;
+      payouts.enqueue({
+        key: room.id + ':payout' + (winners.length > 1 ? ':' + idx : ''), to: seat.walletAddress, amount: payout,
+        kind: 'payout', roomId: room.id, message: prefix + payout.toFixed(3) + ' SOL!',
+      });
+      paid = true;
+    });
+    if (paid) payouts.enqueue({ key: room.id + ':house', to: HOUSE_WALLET, amount: houseCut, kind: 'house_fee', roomId: room.id });
+  } else {
+    room.seats.forEach((seat, idx) => {
+      if (!seat || !seat.walletAddress) return;
+      payouts.enqueue({
+        key: room.id + ':refund:' + idx, to: seat.walletAddress, amount: room.betAmount, kind: 'refund', roomId: room.id,
+        message: 'Draw — bet refunded!',
+      });
+    });
+  }
+  return winner !== null ? payout : 0;
+}
+
+// Results recorded before shared wins existed only name the winning seat.
+function resultWinners(result) {
+  if (result.winners) return result.winners;
+  return result.winner === null ? [] : [result.winner];
+}
+
+// Side number per seat; see BaseGame.teams.
+function roomTeams(room) {
+  return games.get(room.gameType).teams(room.seats.length, room.options || {});
+}
+
+function handleGameOver(room, result) {
   clearTurnTimer(room);
+  clearTimeout(room.seedTimer);
+  clearTimeout(room.botTimer);
   room.state = 'finished';
+  clearGraceTimers(room);
+  const winners = result.winners || (room.game ? room.game.winningSeats(result.winner) : resultWinners(result));
+  room.result = {
+    winner: result.winner, winners, resigned: !!result.resigned, reason: result.reason || null,
+    abandoned: result.abandoned !== undefined ? result.abandoned : null, voided: !!result.voided,
+  };
+  // Practice games, bot seats and games everyone walked away from never
+  // count towards a rating.
+  room.result.ratings = room.practice || room.result.voided ? null : ratings.recordResult(room.gameType, room.seats, roomTeams(room), winners);
+  room.finishedAt = Date.now();
+  persistRoom(room);
+  recordMatch(room);
   const winnerIdx = result.winner;
-  const pot = room.betAmount * 2;
-  const houseCut = pot * HOUSE_FEE;
-  const payout = pot - houseCut;
+  const payout = room.practice ? 0 : settleRoom(room);
 
+  let gameOver;
   if (winnerIdx !== null) {
-    const winnerSocketId = room.players[winnerIdx];
-    const winnerPlayer = players.get(winnerSocketId);
-    if (winnerPlayer && !TEST_MODE) {
-      try {
-        await sendSOL(winnerPlayer.walletAddress, payout);
-        const winSock = io.sockets.sockets.get(winnerSocketId);
-        if (winSock) winSock.emit('balance_update', { refreshWallet: true, msg: 'You won ' + payout.toFixed(3) + ' SOL!' });
-      } catch (e) {
-        console.error('Payout error:', e.message);
-      }
-      try {
-        await sendSOL(HOUSE_WALLET, houseCut);
-        console.log('House fee sent:', houseCut.toFixed(4), 'SOL to', HOUSE_WALLET);
-      } catch (e) {
-        console.error('House fee transfer error:', e.message);
-      }
-    }
-    io.to(room.id).emit('game_over', {
-      winner: winnerPlayer ? winnerPlayer.displayName : null,
-      winnerWallet: winnerPlayer ? winnerPlayer.walletAddress : null,
-      payout, isDraw: false, resigned: !!result.resigned,
-    });
+    const winnerSeats = winners.map((idx) => room.seats[idx]).filter(Boolean);
+    gameOver = {
+      winner: winnerSeats.map((seat) => seat.displayName).join(' & ') || null,
+      winnerWallet: winnerSeats.length ? winnerSeats[0].walletAddress : null,
+      winnerWallets: winnerSeats.map((seat) => seat.walletAddress),
+      payout, payoutStatus: TEST_MODE ? 'settled' : 'pending',
+      isDraw: false, resigned: !!result.resigned, reason: result.reason,
+    };
   } else {
-    if (!TEST_MODE) {
-      for (const sid of room.players) {
-        const p = players.get(sid);
-        if (p) {
-          try {
-            await sendSOL(p.walletAddress, room.betAmount);
-            const s = io.sockets.sockets.get(sid);
-            if (s) s.emit('balance_update', { refreshWallet: true, msg: 'Draw — bet refunded!' });
-          } catch (e) {
-            console.error('Refund error:', e.message);
-          }
-        }
-      }
-    }
-    io.to(room.id).emit('game_over', { winner: null, winnerWallet: null, payout: 0, isDraw: true });
+    gameOver = {
+      winner: null, winnerWallet: null, payout: 0, payoutStatus: TEST_MODE ? 'settled' : 'pending',
+      isDraw: true, reason: result.reason,
+    };
   }
+  gameOver.fairness = fairnessReveal(room);
+  io.to(room.id).emit('game_over', gameOver);
+  emitToSpectators(room, 'game_over', gameOver);
+  room.settled = true;
+  persistRoom(room);
   setTimeout(() => cleanupRoom(room.id), 5000);
 }
 
-const TIMER_DELAYS = { domino: 15500, mancala: 20500, checkers: 30500, chess: 60500, morpion: 30500 };
+// The server fires a little after the limit the client counts down, so a
+// move made in the last second still beats the timeout.
+const TIMER_SLACK_MS = 500;
 
-function startTurnTimer(room) {
+function turnDelayMs(room) {
+  const timeLeft = room.game.timeLeftMs();
+  return timeLeft === null ? null : timeLeft + TIMER_SLACK_MS;
+}
+
+function startTurnTimer(room, remainingMs) {
   clearTurnTimer(room);
   if (!room.game || room.game.gameOver) return;
   if (room.game.roundOver) return;
-  const delay = TIMER_DELAYS[room.gameType];
+  const delay = remainingMs !== undefined ? remainingMs : turnDelayMs(room);
   if (!delay) return;
 
+  // While a player is reconnecting the clock stands still; the remaining
+  // time is picked up again by resumeTurnTimer.
+  if (room.absent && room.absent.size > 0) {
+    room.pausedAt = Date.now();
+    room.pausedRemaining = delay;
+    return;
+  }
+
+  room.turnDeadline = Date.now() + delay;
   room.turnTimer = setTimeout(() => {
     if (!room.game || room.game.gameOver || room.state !== 'playing') return;
     if (room.game.roundOver) return;
     const cp = room.game.currentPlayer;
-    const result = room.game.autoPlayForTimeout(cp);
+    const result = room.game.timeout(cp);
     if (!result) return;
-    emitGameState(room);
-
-    if (result.gameOver) {
-      handleGameOver(room, result);
-    } else {
-      startTurnTimer(room);
-    }
+    applyActionResult(room, result);
   }, delay);
 }
 
@@ -175,127 +687,353 @@ function clearTurnTimer(room) {
   if (room.turnTimer) { clearTimeout(room.turnTimer); room.turnTimer = null; }
 }
 
+function pauseTurnTimer(room) {
+  if (!room.turnTimer) return;
+  room.pausedAt = Date.now();
+  room.pausedRemaining = Math.max(0, room.turnDeadline - room.pausedAt);
+  clearTurnTimer(room);
+}
+
+function resumeTurnTimer(room) {
+  if (room.pausedAt == null) return;
+  if (room.game && room.game.turnStartTime) room.game.turnStartTime += Date.now() - room.pausedAt;
+  const remaining = room.pausedRemaining;
+  room.pausedAt = null;
+  room.pausedRemaining = null;
+  startTurnTimer(room, remaining);
+}
+
+function clearGraceTimers(room) {
+  if (!room.absent) return;
+  for (const timer of room.absent.values()) clearTimeout(timer);
+  room.absent.clear();
+}
+
+function hashSessionToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function issueSession(walletAddress) {
+  const token = crypto.randomBytes(24).toString('hex');
+  sessions.set(hashSessionToken(token), { walletAddress, lastSeenAt: Date.now() });
+  return token;
+}
+
+// A session is kept while a connected socket or a seat in a live room holds
+// it. Once neither does it is dropped when that room is cleaned up, or by
+// the sweep after SESSION_IDLE_MS.
+function sessionsInUse() {
+  const used = new Set();
+  for (const p of players.values()) used.add(p.sessionHash);
+  for (const room of rooms.values()) {
+    if (room.state === 'playing' && room.seats) room.seats.forEach((seat) => used.add(seat.sessionHash));
+  }
+  return used;
+}
+
+function releaseSessions(hashes) {
+  const used = sessionsInUse();
+  for (const hash of hashes) if (hash && !used.has(hash)) sessions.delete(hash);
+}
+
+function sweepSessions() {
+  const used = sessionsInUse();
+  const cutoff = Date.now() - SESSION_IDLE_MS;
+  for (const [hash, session] of sessions) {
+    if (session.lastSeenAt < cutoff && !used.has(hash)) sessions.delete(hash);
+  }
+}
+
+// A registration has proved the wallet either way, so a seat held for that
+// wallet is resumed even without the session it was taken with.
+function findAbsentSeat(sessionHash, walletAddress) {
+  for (const [, room] of rooms) {
+    if (room.state !== 'playing' || !room.absent || !room.seats) continue;
+    const idx = room.seats.findIndex((seat, i) => room.absent.has(i) && seat.sessionHash === sessionHash);
+    if (idx !== -1) return { room, seatIdx: idx };
+  }
+  for (const [, room] of rooms) {
+    if (room.state !== 'playing' || !room.absent || !room.seats) continue;
+    const idx = room.seats.findIndex((seat, i) => room.absent.has(i) && seat.walletAddress === walletAddress);
+    if (idx !== -1) return { room, seatIdx: idx };
+  }
+  return null;
+}
+
+// A seat whose socket dropped is held for RECONNECT_GRACE_MS. If the player
+// is still gone when it expires their side forfeits: in a game that plays on
+// without it (see BaseGame.playsOnWithout) the others carry on, otherwise
+// the seats still at the table win. If nobody on another side is left the
+// room is voided and every stake is refunded.
+function markSeatAbsent(room, seatIdx) {
+  if (!room.absent) room.absent = new Map();
+  if (room.absent.has(seatIdx)) return;
+  pauseTurnTimer(room);
+  room.absent.set(seatIdx, setTimeout(() => expireSeat(room, seatIdx), RECONNECT_GRACE_MS));
+  io.to(room.id).emit('opponent_disconnected', { graceMs: RECONNECT_GRACE_MS });
+}
+
+function expireSeat(room, seatIdx) {
+  if (room.state !== 'playing' || !room.absent || !room.absent.has(seatIdx)) return;
+  if (room.game && room.game.playsOnWithout(seatIdx)) {
+    room.absent.delete(seatIdx);
+    // Bring the paused turn clock up to date before the turn order changes;
+    // startTurnTimer pauses it again if someone else is still away.
+    if (room.pausedAt != null) {
+      room.game.turnStartTime += Date.now() - room.pausedAt;
+      room.pausedAt = null;
+      room.pausedRemaining = null;
+    }
+    applyActionResult(room, { ...room.game.leave(seatIdx), reason: 'Did not reconnect' });
+    return;
+  }
+  const teams = roomTeams(room);
+  const out = room.game ? room.game.out : [];
+  const winners = room.players.flatMap((_, idx) => (
+    teams[idx] !== teams[seatIdx] && !room.absent.has(idx) && !out.includes(idx) ? [idx] : []
+  ));
+  if (room.game) room.game.gameOver = true;
+  if (!winners.length) {
+    handleGameOver(room, { winner: null, voided: true, reason: room.players.length === 2 ? 'Both players disconnected' : 'Players disconnected' });
+  } else {
+    if (room.game) room.game.winner = winners[0];
+    handleGameOver(room, { winner: winners[0], winners, reason: 'Opponent disconnected' });
+  }
+}
+
+function reattachSeat(room, seatIdx, socket) {
+  clearTimeout(room.absent.get(seatIdx));
+  room.absent.delete(seatIdx);
+  room.players[seatIdx] = socket.id;
+  const player = players.get(socket.id);
+  player.roomId = room.id;
+  socket.join(room.id);
+  // The seat follows whichever session proved the wallet this time.
+  const previous = room.seats[seatIdx].sessionHash;
+  room.seats[seatIdx].sessionHash = player.sessionHash;
+  if (previous !== player.sessionHash) {
+    releaseSessions([previous]);
+    persistRoom(room);
+  }
+
+  socket.emit('game_start', gameStartPayload(room, seatIdx));
+  if (room.game) socket.emit('game_state', room.game.getStateForPlayer(seatIdx));
+  socket.emit('chat_history', {
+    messages: room.chat.filter((m) => m.seat === seatIdx || !room.mutedBy.has(seatIdx)).map(chat.publicView),
+    muted: room.mutedBy.has(seatIdx),
+  });
+  socket.to(room.id).emit('opponent_reconnected', {});
+  if (room.absent.size === 0) resumeTurnTimer(room);
+  scheduleBotMove(room);
+}
+
 io.on('connection', (socket) => {
   console.log(`Connected: ${socket.id}`);
 
-  socket.on('register', async ({ walletAddress, displayName }) => {
+  socket.on('register', async ({ walletAddress, displayName, sessionToken, signature }) => {
     if (!walletAddress || walletAddress.length < 2) return socket.emit('error_msg', { msg: 'Invalid wallet address' });
     if (!TEST_MODE) {
       try { new PublicKey(walletAddress); } catch (_) { return socket.emit('error_msg', { msg: 'Invalid Solana address' }); }
     }
 
-    players.set(socket.id, { walletAddress, displayName: displayName || walletAddress.slice(0, 6), roomId: null });
+    // A session token is only ever issued after a verified signature, so it
+    // stands in for one on reconnect. Otherwise the wallet has to sign a
+    // fresh challenge before the socket is bound to it.
+    let token = sessionToken;
+    const session = token ? sessions.get(hashSessionToken(token)) : null;
+    if (!session || session.walletAddress !== walletAddress) {
+      if (!TEST_MODE) {
+        if (!signature) return socket.emit('auth_challenge', { message: auth.createChallenge(socket.id, walletAddress) });
+        const proof = auth.verifyChallenge(socket.id, walletAddress, signature);
+        if (!proof.ok) return socket.emit('error_msg', { msg: proof.error });
+      }
+      token = issueSession(walletAddress);
+    } else {
+      session.lastSeenAt = Date.now();
+    }
+    const sessionHash = hashSessionToken(token);
 
+    players.set(socket.id, { walletAddress, displayName: displayName || walletAddress.slice(0, 6), roomId: null, sessionHash });
+
+    const resumable = findAbsentSeat(sessionHash, walletAddress);
     socket.emit('registered', {
       success: true,
       walletAddress,
       displayName: displayName || walletAddress.slice(0, 6),
       escrowAddress: ESCROW_ADDRESS,
       testMode: TEST_MODE,
+      sessionToken: token,
+      resumed: !!resumable,
+      emotes: chat.EMOTES,
     });
+    if (resumable) reattachSeat(resumable.room, resumable.seatIdx, socket);
     broadcastLobby();
   });
 
-  socket.on('find_match', async ({ gameType, betAmount, gridSize, txSignature }) => {
+  socket.on('prepare_bet', ({ betAmount }) => {
+    const player = players.get(socket.id);
+    if (!player) return socket.emit('error_msg', { msg: 'Register first' });
+    const bet = parseFloat(betAmount) || 0;
+    if (!bet || bet <= 0) return socket.emit('error_msg', { msg: 'Invalid bet amount' });
+
+    const intent = createBetIntent(player.walletAddress, bet);
+    socket.emit('bet_prepared', { intentId: intent.id, memo: betMemo(intent.id), betAmount: bet, escrowAddress: ESCROW_ADDRESS });
+  });
+
+  // `games` searches several games at once, each { gameType, options };
+  // without it the search is for `gameType` alone. The player pays
+  // `betAmount` and is matched at any stake down to `minBet`.
+  socket.on('find_match', async ({ gameType, betAmount, minBet, options, gridSize, games: wanted, txSignature, intentId }) => {
     const player = players.get(socket.id);
     if (!player) return socket.emit('error_msg', { msg: 'Register first' });
+    if (inLiveRoom(player)) return socket.emit('error_msg', { msg: 'Finish your own game first' });
+    const requested = Array.isArray(wanted) && wanted.length
+      ? wanted
+      : [{ gameType, options: { ...options, ...(gridSize ? { gridSize } : {}) } }];
+    if (requested.length > MAX_SEARCH_GAMES) return socket.emit('error_msg', { msg: `Search at most ${MAX_SEARCH_GAMES} games at once` });
+    const wants = [];
+    for (const want of requested) {
+      if (!want || !games.has(want.gameType)) return socket.emit('error_msg', { msg: 'Unknown game' });
+      const normalized = games.normalizeOptions(want.gameType, want.options || {});
+      if (normalized.error) return socket.emit('error_msg', { msg: normalized.error });
+      const key = games.tableKey(want.gameType, normalized.options);
+      if (!wants.some((w) => w.key === key)) wants.push({ gameType: want.gameType, options: normalized.options, key });
+    }
 
     const bet = parseFloat(betAmount) || 0;
+    const lowest = minBet === undefined || minBet === null || minBet === '' ? bet : parseFloat(minBet);
+    if (!(lowest >= 0 && lowest <= bet)) return socket.emit('error_msg', { msg: 'Minimum bet must be between 0 and your bet' });
     if (!TEST_MODE) {
       if (!bet || bet <= 0) return socket.emit('error_msg', { msg: 'Invalid bet amount' });
       if (!txSignature) return socket.emit('error_msg', { msg: 'No payment transaction provided' });
-      const verification = await verifyBetPayment(txSignature, bet);
+      const verification = await verifyBetPayment(txSignature, bet, player.walletAddress, intentId);
       if (!verification.ok) return socket.emit('error_msg', { msg: verification.error });
     }
 
-    const opts = {};
-    if (gameType === 'tictactoe' && gridSize) opts.gridSize = gridSize;
-
-    const queueKey = `${gameType}_${bet}${gridSize ? '_' + gridSize : ''}`;
-    if (matchQueue.has(queueKey)) {
-      const waiting = matchQueue.get(queueKey);
-      matchQueue.delete(queueKey);
-
-      const room = createRoom(gameType, bet, waiting.socketId);
-      room.options = { ...waiting.options, ...opts };
-      room.players.push(socket.id);
-      room.state = 'playing';
-
-      players.get(waiting.socketId).roomId = room.id;
-      player.roomId = room.id;
-
-      const sock1 = io.sockets.sockets.get(waiting.socketId);
-      if (sock1) sock1.join(room.id);
-      socket.join(room.id);
+    const id = uuidv4().slice(0, 8);
+    if (findSearch(socket.id)) {
+      if (txSignature) refundQueueEntry(id, { bet, txSignature }, player.walletAddress);
+      return socket.emit('error_msg', { msg: 'You are already searching — cancel that search first' });
+    }
+    const entry = {
+      id, socketId: socket.id, walletAddress: player.walletAddress, txSignature, bet, minBet: lowest,
+      wants, locked: null, joined: [], startedAt: Date.now(),
+    };
+    enqueueMatch(id, entry);
+    emitWaiting(entry);
+    offerBotWhileWaiting(id, socket.id);
+    runMatchmaker();
+    broadcastLobby();
+  });
 
-      startGame(room);
-    } else {
-      matchQueue.set(queueKey, { socketId: socket.id, bet, txSignature, options: opts });
-      socket.emit('waiting', { msg: 'Waiting for an opponent...', betAmount: bet, gameType });
+  // `fen` starts a chess practice game from a custom position. It is not
+  // part of the option schema, so matchmaking never passes it.
+  socket.on('start_practice', ({ gameType, options, level, fen } = {}) => {
+    const player = players.get(socket.id);
+    if (!player) return socket.emit('error_msg', { msg: 'Register first' });
+    if (inLiveRoom(player)) return socket.emit('error_msg', { msg: 'Finish your own game first' });
+    if (!games.has(gameType) || !bots.has(gameType)) return socket.emit('error_msg', { msg: 'No practice bot for that game' });
+    const botLevel = level || 'medium';
+    if (!bots.isLevel(botLevel)) return socket.emit('error_msg', { msg: 'Invalid bot level' });
+    const normalized = games.normalizeOptions(gameType, options || {});
+    if (normalized.error) return socket.emit('error_msg', { msg: normalized.error });
+    const opts = normalized.options;
+    if (fen) {
+      if (gameType !== 'chess') return socket.emit('error_msg', { msg: 'Only chess practice can start from a position' });
+      const parsed = games.get('chess').parseFen(fen, opts.variant);
+      if (parsed.error) return socket.emit('error_msg', { msg: parsed.error });
+      opts.fen = String(fen).trim();
     }
+
+    leaveQueue(socket.id, player.walletAddress);
+    openPracticeRoom(socket.id, gameType, opts, botLevel);
     broadcastLobby();
   });
 
   socket.on('cancel_search', async () => {
-    for (const [key, val] of matchQueue) {
-      if (val.socketId === socket.id) {
-        const player = players.get(socket.id);
-        if (player && !TEST_MODE) {
-          try {
-            await sendSOL(player.walletAddress, val.bet);
-            socket.emit('balance_update', { refreshWallet: true, msg: 'Bet refunded to your wallet!' });
-          } catch (e) {
-            console.error('Refund error:', e.message);
-            socket.emit('error_msg', { msg: 'Refund failed: ' + e.message });
-          }
-        }
-        matchQueue.delete(key);
-        break;
-      }
-    }
+    const player = players.get(socket.id);
+    leaveQueue(socket.id, player ? player.walletAddress : null);
     socket.emit('search_cancelled');
     broadcastLobby();
   });
 
-  socket.on('accept_bet', async ({ betId, txSignature }) => {
+  // Lobby listings are one per game a search wants, with ids of the form
+  // `<search id>:<index into its games>`.
+  socket.on('accept_bet', async ({ betId, txSignature, intentId }) => {
     const player = players.get(socket.id);
     if (!player) return socket.emit('error_msg', { msg: 'Register first' });
+    if (inLiveRoom(player)) return socket.emit('error_msg', { msg: 'Finish your own game first' });
 
-    const entry = matchQueue.get(betId);
-    if (!entry) return socket.emit('error_msg', { msg: 'This bet is no longer available' });
+    const [key, wantIdx] = String(betId).split(':');
+    const entry = matchQueue.get(key);
+    const want = entry && entry.wants[wantIdx];
+    if (!want || !matchmaker.activeWants(entry).includes(want)) return socket.emit('error_msg', { msg: 'This bet is no longer available' });
 
-    if (entry.socketId === socket.id) return socket.emit('error_msg', { msg: 'You cannot accept your own bet' });
+    if (queuedSockets(entry).includes(socket.id)) return socket.emit('error_msg', { msg: 'You cannot accept your own bet' });
+    if (findSearch(socket.id)) return socket.emit('error_msg', { msg: 'Cancel your own search first' });
 
     const bet = entry.bet;
 
     if (!TEST_MODE) {
       if (!txSignature) return socket.emit('error_msg', { msg: 'No payment transaction provided' });
-      const verification = await verifyBetPayment(txSignature, bet);
+      const verification = await verifyBetPayment(txSignature, bet, player.walletAddress, intentId);
       if (!verification.ok) return socket.emit('error_msg', { msg: verification.error });
     }
 
-    if (!matchQueue.has(betId)) return socket.emit('error_msg', { msg: 'Bet was taken by someone else' });
-    matchQueue.delete(betId);
+    // The search may have been matched, or changed hands, while the payment
+    // was being checked.
+    const current = matchQueue.get(key);
+    if (!current || queuedSockets(current).includes(socket.id) || !matchmaker.activeWants(current).includes(want)) {
+      if (txSignature) refundQueueEntry(key, { bet, txSignature }, player.walletAddress);
+      return socket.emit('error_msg', { msg: 'Bet was taken by someone else — your stake is being refunded' });
+    }
+    takeSeat(key, current, want, socket.id, txSignature, player.walletAddress);
+    runMatchmaker();
+    broadcastLobby();
+  });
 
-    const parts = betId.split('_');
-    const gameType = parts[0];
-    const opts = entry.options || {};
+  socket.on('chat_send', (payload) => {
+    const player = players.get(socket.id);
+    const room = player && player.roomId && rooms.get(player.roomId);
+    if (!room || !room.seats) return;
+    const seat = room.players.indexOf(socket.id);
+    if (seat === -1) return;
+    if (!chat.allow(socket.id)) return socket.emit('error_msg', { msg: 'You are sending messages too fast' });
 
-    const room = createRoom(gameType, bet, entry.socketId);
-    room.options = opts;
-    room.players.push(socket.id);
-    room.state = 'playing';
+    const built = chat.buildMessage(seat, player.displayName, payload);
+    if (built.error) return socket.emit('error_msg', { msg: built.error });
+    chat.append(room, built.message);
+    persistRoom(room);
 
-    const waitingPlayer = players.get(entry.socketId);
-    if (waitingPlayer) waitingPlayer.roomId = room.id;
-    player.roomId = room.id;
+    const view = chat.publicView(built.message);
+    room.players.forEach((sid, idx) => {
+      if (idx !== seat && room.mutedBy.has(idx)) return;
+      const sock = sid && io.sockets.sockets.get(sid);
+      if (sock) sock.emit('chat_message', view);
+    });
+  });
 
-    const sock1 = io.sockets.sockets.get(entry.socketId);
-    if (sock1) sock1.join(room.id);
-    socket.join(room.id);
+  // Muting only stops delivery to this seat; the message is still recorded.
+  socket.on('chat_mute', ({ muted } = {}) => {
+    const player = players.get(socket.id);
+    const room = player && player.roomId && rooms.get(player.roomId);
+    if (!room) return;
+    const seat = room.players.indexOf(socket.id);
+    if (seat === -1) return;
+    if (muted) room.mutedBy.add(seat);
+    else room.mutedBy.delete(seat);
+    socket.emit('chat_muted', { muted: !!muted });
+  });
 
-    startGame(room);
-    broadcastLobby();
+  socket.on('client_seed', ({ seed } = {}) => {
+    const player = players.get(socket.id);
+    const room = player && player.roomId && rooms.get(player.roomId);
+    if (!room || room.game || !room.fairness) return;
+    const seat = room.players.indexOf(socket.id);
+    if (seat === -1 || room.fairness.clientSeeds[seat] !== null) return;
+    if (!fairness.isValidClientSeed(seed)) return socket.emit('error_msg', { msg: 'Invalid client seed' });
+    room.fairness.clientSeeds[seat] = seed;
+    if (room.fairness.clientSeeds.every((s) => s !== null)) beginGame(room);
   });
 
   socket.on('game_action', async (action) => {
@@ -303,149 +1041,328 @@ io.on('connection', (socket) => {
     if (!player || !player.roomId) return;
     const room = rooms.get(player.roomId);
     if (!room || !room.game) return;
+    // The game stands still while a seat is reconnecting: the turn timer is
+    // paused, but engine clocks (chess) count from turnStartTime, which only
+    // moves forward once everyone is back.
+    if (room.absent && room.absent.size > 0) return socket.emit('error_msg', { msg: 'Waiting for a player to reconnect' });
 
     const playerIndex = room.players.indexOf(socket.id);
     const result = room.game.handleAction(playerIndex, action);
     if (result.error) return socket.emit('error_msg', { msg: result.error });
+    applyActionResult(room, result);
+  });
 
-    emitGameState(room);
+  socket.on('get_lobby', () => broadcastLobby());
 
-    if (result.gameOver) {
-      await handleGameOver(room, result);
-    } else if (result.newRound || !result.roundOver) {
-      startTurnTimer(room);
-    }
+  socket.on('spectate', ({ roomId } = {}) => {
+    const room = rooms.get(roomId);
+    if (!room || room.state !== 'playing' || !room.game) return socket.emit('error_msg', { msg: 'That game is no longer running' });
+    const player = players.get(socket.id);
+    if (player && player.roomId) return socket.emit('error_msg', { msg: 'Finish your own game first' });
+    startSpectating(socket, room);
   });
 
-  socket.on('get_lobby', () => broadcastLobby());
+  socket.on('stop_spectating', () => stopSpectating(socket.id));
 
   socket.on('disconnect', async () => {
     console.log(`Disconnected: ${socket.id}`);
     const player = players.get(socket.id);
+    auth.clearChallenge(socket.id);
+    chat.forget(socket.id);
+    stopSpectating(socket.id);
 
-    for (const [key, val] of matchQueue) {
-      if (val.socketId === socket.id) {
-        if (player && !TEST_MODE) {
-          try { await sendSOL(player.walletAddress, val.bet); } catch (e) { console.error('Refund on disconnect:', e.message); }
-        }
-        matchQueue.delete(key);
-        break;
-      }
-    }
+    leaveQueue(socket.id, player ? player.walletAddress : null);
 
     if (player && player.roomId) {
       const room = rooms.get(player.roomId);
       if (room && room.state === 'playing') {
-        const remainingIdx = room.players.indexOf(socket.id) === 0 ? 1 : 0;
-        const winnerSocketId = room.players[remainingIdx];
-        const winnerPlayer = players.get(winnerSocketId);
-
-        const pot = room.betAmount * 2;
-        const houseCut = pot * HOUSE_FEE;
-        const payout = pot - houseCut;
-
-        if (winnerPlayer && !TEST_MODE) {
-          try {
-            await sendSOL(winnerPlayer.walletAddress, payout);
-            const winSock = io.sockets.sockets.get(winnerSocketId);
-            if (winSock) winSock.emit('balance_update', { refreshWallet: true, msg: 'Opponent left — you won ' + payout.toFixed(3) + ' SOL!' });
-          } catch (e) { console.error('Payout on disconnect:', e.message); }
-          try {
-            await sendSOL(HOUSE_WALLET, houseCut);
-            console.log('House fee sent:', houseCut.toFixed(4), 'SOL to', HOUSE_WALLET);
-          } catch (e) { console.error('House fee on disconnect:', e.message); }
-        }
-
-        io.to(room.id).emit('game_over', {
-          winner: winnerPlayer ? winnerPlayer.displayName : null,
-          winnerWallet: winnerPlayer ? winnerPlayer.walletAddress : null,
-          payout, isDraw: false, reason: 'Opponent disconnected',
-        });
-        room.state = 'finished';
-        setTimeout(() => cleanupRoom(room.id), 3000);
+        const seatIdx = room.players.indexOf(socket.id);
+        if (seatIdx !== -1) markSeatAbsent(room, seatIdx);
       }
     }
 
     players.delete(socket.id);
+    const session = player && sessions.get(player.sessionHash);
+    if (session) session.lastSeenAt = Date.now();
     broadcastLobby();
   });
 });
 
+// The game itself is only created once every player has answered the
+// server's seed commitment (or the wait runs out), so no random draw can
+// happen before the client seeds are fixed.
 function startGame(room) {
-  if (room.gameType === 'domino') room.game = new DominoGame();
-  else if (room.gameType === 'tictactoe') room.game = new TicTacToeGame();
-  else if (room.gameType === 'mancala') room.game = new MancalaGame();
-  else if (room.gameType === 'checkers') room.game = new CheckersGame();
-  else if (room.gameType === 'chess') room.game = new ChessGame();
-  else if (room.gameType === 'morpion') room.game = new MorpionGame();
-  room.game.init(room.players.length, room.options || {});
+  room.players.forEach((sid) => stopSpectating(sid));
+  room.fairness = fairness.createCommitment(room.players.length);
+  // A bot's seed is drawn on the spot; only the player's has to be waited for.
+  room.players.forEach((sid, idx) => {
+    if (isBotSeat(room, idx)) room.fairness.clientSeeds[idx] = crypto.randomBytes(16).toString('hex');
+  });
+  room.seats = room.players.map((sid, idx) => {
+    if (isBotSeat(room, idx)) return { walletAddress: null, displayName: bots.displayName(room.bots[idx]), sessionHash: null };
+    const p = players.get(sid);
+    return {
+      walletAddress: p ? p.walletAddress : null,
+      displayName: p ? p.displayName : null,
+      sessionHash: p ? p.sessionHash : null,
+    };
+  });
 
   room.players.forEach((sid, idx) => {
     const sock = io.sockets.sockets.get(sid);
-    if (sock) {
-      const p1 = players.get(room.players[0]);
-      const p2 = players.get(room.players[1]);
-      sock.emit('game_start', {
-        roomId: room.id, gameType: room.gameType, betAmount: room.betAmount, playerIndex: idx,
-        players: [
-          { username: p1?.displayName, wallet: p1?.walletAddress },
-          { username: p2?.displayName, wallet: p2?.walletAddress },
-        ],
-      });
-    }
+    if (sock) sock.emit('game_start', gameStartPayload(room, idx));
   });
+  persistRoom(room);
+  room.seedTimer = setTimeout(() => beginGame(room), CLIENT_SEED_TIMEOUT_MS);
+}
+
+function beginGame(room) {
+  if (room.game || room.state !== 'playing') return;
+  clearTimeout(room.seedTimer);
+  room.seedTimer = null;
+  // A player who never answered contributes an empty seed; that is on the
+  // record and only weakens their own guarantee.
+  const clientSeeds = room.fairness.clientSeeds.map((seed) => seed || '');
+  room.fairness.clientSeeds = clientSeeds;
+  room.game = games.create(room.gameType);
+  room.game.setup(room.players.length, room.options || {}, fairness.deriveSeed(room.fairness.serverSeed, clientSeeds));
   emitGameState(room);
   startTurnTimer(room);
 }
 
+function gameStartPayload(room, playerIndex) {
+  return {
+    roomId: room.id, gameType: room.gameType, betAmount: room.betAmount, practice: !!room.practice, playerIndex,
+    players: room.seats.map((seat) => ({
+      username: seat.displayName, wallet: seat.walletAddress, rating: ratings.rating(room.gameType, seat.walletAddress),
+    })),
+    spectators: room.spectators.size,
+    serverSeedHash: room.fairness ? room.fairness.serverSeedHash : null,
+  };
+}
+
 function emitGameState(room) {
   room.players.forEach((sid, idx) => {
     const sock = io.sockets.sockets.get(sid);
     if (sock) sock.emit('game_state', room.game.getStateForPlayer(idx));
   });
+  emitToSpectators(room, 'spectator_state', structuredClone(room.game.getSpectatorState()));
+  persistRoom(room);
+  scheduleBotMove(room);
+}
+
+function applyActionResult(room, result) {
+  if (result.out) result = seatsOut(room, result);
+  emitGameState(room);
+  if (result.gameOver) {
+    handleGameOver(room, result);
+  } else if (result.newRound || !result.roundOver) {
+    startTurnTimer(room);
+  }
+}
+
+// Takes the seats a result put out of the game away from their players, who
+// go back to the lobby while the others play on. Their stake stays in the
+// pot. Returns the result to carry on with: the game ends instead if only
+// bots are left.
+function seatsOut(room, result) {
+  const reason = result.reason || 'Resigned';
+  for (const idx of result.out) {
+    const sid = room.players[idx];
+    room.players[idx] = null;
+    const p = players.get(sid);
+    if (p && p.roomId === room.id) p.roomId = null;
+    const sock = sid && io.sockets.sockets.get(sid);
+    if (sock) {
+      sock.leave(room.id);
+      sock.emit('game_over', {
+        winner: null, winnerWallet: null, winnerWallets: [], payout: 0, isDraw: false, out: true, reason,
+      });
+    }
+    const seatOut = { seat: idx, name: room.seats[idx].displayName, reason };
+    io.to(room.id).emit('player_out', seatOut);
+    emitToSpectators(room, 'player_out', seatOut);
+  }
+  const rest = room.game.activeSeats();
+  if (!rest.every((idx) => isBotSeat(room, idx))) return result;
+  room.game.gameOver = true;
+  room.game.winner = rest[0];
+  return { gameOver: true, winner: rest[0], winners: rest, reason: 'Only bots left' };
+}
+
+// Spectators sit in their own channel, never in the players' room, so
+// nothing addressed to a seat reaches them. High-stakes rooms can run the
+// feed behind live play so watching cannot be used to relay information.
+function spectatorChannel(roomId) {
+  return 'spectate:' + roomId;
+}
+
+function spectatorDelayMs(room) {
+  return room.betAmount >= SPECTATOR_DELAY_MIN_BET ? SPECTATOR_DELAY_MS : 0;
+}
+
+function emitToSpectators(room, event, data) {
+  const send = () => {
+    if (event === 'spectator_state') room.spectatorView = data;
+    io.to(spectatorChannel(room.id)).emit(event, data);
+  };
+  const delay = spectatorDelayMs(room);
+  if (delay) setTimeout(send, delay);
+  else send();
+}
+
+function emitSpectatorCount(room) {
+  io.to(room.id).emit('spectators', { count: room.spectators.size });
+  broadcastLobby();
+}
+
+function startSpectating(socket, room) {
+  stopSpectating(socket.id);
+  spectating.set(socket.id, room.id);
+  room.spectators.add(socket.id);
+  socket.join(spectatorChannel(room.id));
+  socket.emit('spectate_start', { ...gameStartPayload(room, null), spectator: true, spectatorDelayMs: spectatorDelayMs(room) });
+  if (room.spectatorView) socket.emit('spectator_state', room.spectatorView);
+  emitSpectatorCount(room);
+}
+
+function stopSpectating(socketId) {
+  const roomId = spectating.get(socketId);
+  if (!roomId) return;
+  spectating.delete(socketId);
+  const sock = io.sockets.sockets.get(socketId);
+  if (sock) sock.leave(spectatorChannel(roomId));
+  const room = rooms.get(roomId);
+  if (room && room.spectators.delete(socketId)) emitSpectatorCount(room);
 }
 
 function cleanupRoom(roomId) {
   const room = rooms.get(roomId);
   if (!room) return;
   clearTurnTimer(room);
+  clearTimeout(room.seedTimer);
+  clearTimeout(room.botTimer);
+  clearGraceTimers(room);
   room.players.forEach((sid) => {
     const p = players.get(sid);
-    if (p) p.roomId = null;
+    // They may already be seated somewhere new.
+    if (p && p.roomId === roomId) p.roomId = null;
     const s = io.sockets.sockets.get(sid);
     if (s) s.leave(roomId);
   });
+  // Let a delayed feed finish playing out before dropping its audience.
+  setTimeout(() => {
+    for (const sid of room.spectators) spectating.delete(sid);
+    io.in(spectatorChannel(roomId)).socketsLeave(spectatorChannel(roomId));
+  }, spectatorDelayMs(room));
   rooms.delete(roomId);
+  releaseSessions(room.seats ? room.seats.map((seat) => seat.sessionHash) : []);
+  // Picks up anything said between game over and cleanup.
+  if (room.result) recordMatch(room);
+  store.removeRoom(roomId);
 }
 
 function broadcastLobby() {
   const waiting = [];
   for (const [key, val] of matchQueue) {
-    const parts = key.split('_');
-    const gameType = parts[0];
-    const bet = parts[1];
-    const gridSize = parts[2] || null;
     const p = players.get(val.socketId);
-    waiting.push({
-      id: key,
-      gameType,
-      betAmount: parseFloat(bet),
-      username: p?.displayName || 'Anon',
-      wallet: p?.walletAddress ? p.walletAddress.slice(0, 4) + '…' + p.walletAddress.slice(-4) : '',
-      gridSize: gridSize ? parseInt(gridSize) : null,
-      socketId: val.socketId,
+    val.wants.forEach((want, idx) => {
+      if (!matchmaker.activeWants(val).includes(want)) return;
+      waiting.push({
+        id: key + ':' + idx,
+        gameType: want.gameType,
+        betAmount: val.bet,
+        username: p?.displayName || 'Anon',
+        wallet: p?.walletAddress ? p.walletAddress.slice(0, 4) + '…' + p.walletAddress.slice(-4) : '',
+        rating: ratings.rating(want.gameType, val.walletAddress),
+        options: want.options,
+        gridSize: want.options.gridSize || null,
+        socketId: val.socketId,
+        seats: games.seatCount(want.gameType, want.options),
+        seated: queuedSockets(val).length,
+      });
     });
   }
   const activeGames = [];
   for (const [, room] of rooms) {
-    if (room.state === 'playing') {
-      activeGames.push({ gameType: room.gameType, betAmount: room.betAmount, players: room.players.map((sid) => players.get(sid)?.displayName) });
+    if (room.state === 'playing' && !room.practice) {
+      activeGames.push({
+        roomId: room.id, gameType: room.gameType, betAmount: room.betAmount,
+        players: room.seats.map((seat) => seat.displayName), spectators: room.spectators.size,
+      });
     }
   }
   io.emit('lobby_update', { waiting, activeGames, onlineCount: players.size });
 }
 
+// Queue entries cannot be matched after a restart, so their stakes are
+// returned. Live rooms are restored from their snapshot with every seat
+// absent: players who come back within the grace period resume the game,
+// and a room nobody returns to is voided and refunded. Rooms that finished
+// before their payouts were queued are settled now; payout keys make that
+// safe even if some of them had already been queued.
+function restoreRoom(snap) {
+  const room = {
+    id: snap.id, gameType: snap.gameType, betAmount: snap.betAmount, options: snap.options || {},
+    players: snap.seats.map(() => null), seats: snap.seats, spectators: new Set(),
+    chat: snap.chat || [], mutedBy: new Set(), fairness: snap.fairness || null, state: 'playing',
+    game: games.restore(snap.gameType, JSON.parse(snap.game)),
+    createdAt: snap.createdAt, turnTimer: null,
+  };
+  rooms.set(room.id, room);
+
+  // The current turn starts over once everyone is back.
+  room.game.turnStartTime = Date.now();
+  room.pausedAt = Date.now();
+  room.pausedRemaining = turnDelayMs(room);
+  room.seats.forEach((seat, idx) => {
+    if (room.game.out.includes(idx)) return;
+    if (seat.sessionHash) sessions.set(seat.sessionHash, { walletAddress: seat.walletAddress, lastSeenAt: Date.now() });
+    markSeatAbsent(room, idx);
+  });
+}
+
+async function recoverState() {
+  const snapshot = await store.loadSnapshot();
+
+  for (const entry of snapshot.queue) {
+    refundQueueEntry(entry.key, entry, entry.walletAddress);
+    for (const seat of entry.joined || []) refundQueueEntry(entry.key, { bet: entry.bet, ...seat }, seat.walletAddress);
+    store.removeQueueEntry(entry.key);
+  }
+
+  for (const snap of snapshot.rooms) {
+    if (snap.practice) {
+      // Nothing was at stake and the bots are gone with the old process.
+      store.removeRoom(snap.id);
+    } else if (snap.state === 'playing' && snap.game && games.has(snap.gameType)) {
+      restoreRoom(snap);
+    } else if (snap.state === 'playing' && snap.seats && snap.seats.length) {
+      // Went down while waiting for client seeds: nothing was played, so
+      // both stakes go back.
+      settleRoom({ ...snap, result: { winner: null, reason: 'Server restarted before the game began' } });
+      store.removeRoom(snap.id);
+    } else if (snap.state === 'finished' && !snap.settled && snap.result) {
+      settleRoom(snap);
+      store.removeRoom(snap.id);
+    } else {
+      store.removeRoom(snap.id);
+    }
+  }
+
+  if (snapshot.queue.length || snapshot.rooms.length) {
+    console.log(`Recovered ${snapshot.queue.length} queue entries and ${snapshot.rooms.length} rooms from the last run`);
+  }
+}
+
 const PORT = process.env.PORT || 3000;
-server.listen(PORT, '0.0.0.0', () => {
-  console.log(`ZG (Zoot Games) running on http://localhost:${PORT}`);
-});
+Promise.all([payouts.start(), ratings.load()])
+  .then(recoverState)
+  .catch((e) => console.error('State recovery failed:', e.message))
+  .then(() => {
+    setInterval(runMatchmaker, MATCH_TICK_MS);
+    setInterval(sweepSessions, SESSION_SWEEP_MS);
+    server.listen(PORT, '0.0.0.0', () => {
+      console.log(`ZG (Zoot Games) running on http://localhost:${PORT}`);
+    });
+  });
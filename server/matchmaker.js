@@ -0,0 +1,101 @@
+const games = require('./games');
+const ratings = require('./ratings');
+
+// Pairs queued searches into tables. A search is one player's paid stake,
+// the lowest stake they will settle for, and the games they want (each a
+// gameType with its options). Searches that other players have joined
+// from the lobby stay together and need one search per remaining seat.
+//
+// A table forms once enough searches want the same game and options, have
+// a stake in common and sit within each other's rating window. The window
+// starts narrow and widens the longer a search waits, until after
+// OPEN_WINDOW_MS it takes anyone. The stake is the highest one every search
+// accepts; whatever a player paid above it is theirs to refund.
+const RATING_WINDOW_START = 100;
+const RATING_WINDOW_STEP = 100;
+const RATING_WINDOW_STEP_MS = 15000;
+const OPEN_WINDOW_MS = 90000;
+
+// Estimated waits are the average of the last WAIT_HISTORY matched searches
+// for that game type.
+const WAIT_HISTORY = 20;
+const waits = new Map();
+
+function ratingWindow(search, now) {
+  const waited = now - search.startedAt;
+  if (waited >= OPEN_WINDOW_MS) return Infinity;
+  return RATING_WINDOW_START + RATING_WINDOW_STEP * Math.floor(waited / RATING_WINDOW_STEP_MS);
+}
+
+// The games a search can still be matched in. Once somebody joins it from
+// the lobby it is held to the game they joined.
+function activeWants(search) {
+  return search.locked ? search.wants.filter((want) => want.key === search.locked) : search.wants;
+}
+
+function members(search) {
+  return [{ socketId: search.socketId, walletAddress: search.walletAddress, txSignature: search.txSignature }, ...search.joined];
+}
+
+function stakeRange(searches) {
+  const min = Math.max(...searches.map((search) => search.minBet));
+  const max = Math.min(...searches.map((search) => search.bet));
+  return min <= max ? { min, max } : null;
+}
+
+// Every player on one side is within the other side's window, and each
+// side's window is its own wait's.
+function compatible(a, b, gameType, now) {
+  const window = Math.min(ratingWindow(a, now), ratingWindow(b, now));
+  return members(a).every((m) => members(b).every((n) => {
+    if (m.walletAddress === n.walletAddress) return false;
+    if (window === Infinity) return true;
+    return Math.abs(ratings.rating(gameType, m.walletAddress) - ratings.rating(gameType, n.walletAddress)) <= window;
+  }));
+}
+
+// The first table that can be formed, favouring the longest-waiting search
+// and its games in the order it listed them. Returns null if none can.
+function findTable(searches, now) {
+  const queue = [...searches].sort((a, b) => a.startedAt - b.startedAt);
+  for (const anchor of queue) {
+    for (const want of activeWants(anchor)) {
+      const seats = games.seatCount(want.gameType, want.options);
+      const table = [anchor];
+      let seated = members(anchor).length;
+      for (const other of queue) {
+        if (seated === seats) break;
+        if (other === anchor || seated + members(other).length > seats) continue;
+        if (!activeWants(other).some((w) => w.key === want.key)) continue;
+        if (!table.every((search) => compatible(search, other, want.gameType, now))) continue;
+        if (!stakeRange([...table, other])) continue;
+        table.push(other);
+        seated += members(other).length;
+      }
+      if (seated === seats) {
+        return { gameType: want.gameType, options: want.options, stake: stakeRange(table).max, searches: table };
+      }
+    }
+  }
+  return null;
+}
+
+function recordWait(gameType, ms) {
+  const recent = waits.get(gameType) || [];
+  recent.push(ms);
+  if (recent.length > WAIT_HISTORY) recent.shift();
+  waits.set(gameType, recent);
+}
+
+// How much longer the search can expect to wait: the shortest estimate
+// across its games, or null while none of them has been matched yet.
+function estimateWaitMs(search, now) {
+  const estimates = activeWants(search).flatMap((want) => {
+    const recent = waits.get(want.gameType);
+    return recent ? [recent.reduce((sum, ms) => sum + ms, 0) / recent.length] : [];
+  });
+  if (!estimates.length) return null;
+  return Math.max(0, Math.round(Math.min(...estimates) - (now - search.startedAt)));
+}
+
+module.exports = { ratingWindow, activeWants, members, findTable, recordWait, estimateWaitMs };
@@ -0,0 +1,196 @@
+const {
+  PublicKey, LAMPORTS_PER_SOL, Transaction, SystemProgram,
+} = require('@solana/web3.js');
+const bs58 = require('bs58');
+
+const TICK_MS = 2000;
+const BASE_BACKOFF_MS = 5000;
+const MAX_BACKOFF_MS = 10 * 60 * 1000;
+const MAX_ATTEMPTS = 8;
+const SETTLED_RETENTION_MS = 24 * 60 * 60 * 1000;
+
+// Every transfer the escrow owes (winner payout, house fee, refunds) is a
+// job keyed by an idempotency key, persisted before anything is sent.
+// The signature of each attempt is stored before broadcasting, so a retry
+// (or a restart mid-send) first asks the chain whether the previous attempt
+// landed and only re-sends once its blockhash has expired.
+class PayoutQueue {
+  constructor({ connection, escrowKeypair, store, testMode, onUpdate }) {
+    this.connection = connection;
+    this.escrowKeypair = escrowKeypair;
+    this.store = store;
+    this.testMode = testMode;
+    this.onUpdate = onUpdate || (() => {});
+    this.jobs = new Map();
+    this.running = false;
+    this.interval = null;
+  }
+
+  async start() {
+    const saved = await this.store.loadPayouts();
+    for (const job of saved) this.jobs.set(job.key, job);
+    if (saved.length) console.log(`Loaded ${saved.length} unsettled payouts`);
+    this.interval = setInterval(() => this._tick(), TICK_MS);
+  }
+
+  enqueue({ key, to, amount, kind, roomId = null, wallet = null, message = null }) {
+    const existing = this.jobs.get(key);
+    if (existing) return existing;
+
+    const job = {
+      key, to, amount, kind, roomId, message,
+      wallet: wallet || to,
+      status: 'pending',
+      attempts: 0,
+      nextAttemptAt: Date.now(),
+      signature: null,
+      lastValidBlockHeight: null,
+      lastError: null,
+      createdAt: Date.now(),
+      settledAt: null,
+    };
+    if (this.testMode) {
+      job.status = 'settled';
+      job.settledAt = Date.now();
+    }
+    this.jobs.set(key, job);
+    this._save(job);
+    this._tick();
+    return job;
+  }
+
+  get(key) {
+    return this.jobs.get(key) || null;
+  }
+
+  list({ status, wallet } = {}) {
+    const out = [];
+    for (const job of this.jobs.values()) {
+      if (status && job.status !== status) continue;
+      if (wallet && job.wallet !== wallet) continue;
+      out.push(job);
+    }
+    return out.sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  // Operator actions: put a failed job back in line, or close it by hand
+  // after settling it out of band.
+  retry(key) {
+    const job = this.jobs.get(key);
+    if (!job || job.status === 'settled') return null;
+    job.status = 'pending';
+    job.attempts = 0;
+    job.nextAttemptAt = Date.now();
+    this._save(job);
+    this._tick();
+    return job;
+  }
+
+  resolve(key, signature) {
+    const job = this.jobs.get(key);
+    if (!job || job.status === 'settled') return null;
+    job.status = 'settled';
+    job.signature = signature || job.signature;
+    job.settledAt = Date.now();
+    job.lastError = job.lastError ? job.lastError + ' (resolved manually)' : 'Resolved manually';
+    this._save(job);
+    return job;
+  }
+
+  _save(job) {
+    this.store.savePayout(job);
+    this.onUpdate(job);
+  }
+
+  async _tick() {
+    if (this.running) return;
+    this.running = true;
+    try {
+      const now = Date.now();
+      for (const job of this.jobs.values()) {
+        if (job.status === 'settled' && now - job.settledAt > SETTLED_RETENTION_MS) {
+          this.jobs.delete(job.key);
+          continue;
+        }
+        if ((job.status === 'pending' || job.status === 'sending') && job.nextAttemptAt <= now) {
+          await this._attempt(job);
+        }
+      }
+    } finally {
+      this.running = false;
+    }
+  }
+
+  async _attempt(job) {
+    try {
+      if (job.signature) {
+        const previous = await this._checkPrevious(job);
+        if (previous === 'landed') return this._settle(job);
+        if (previous === 'in_flight') {
+          job.nextAttemptAt = Date.now() + BASE_BACKOFF_MS;
+          return;
+        }
+      }
+      await this._send(job);
+      this._settle(job);
+    } catch (e) {
+      job.attempts++;
+      job.lastError = e.message;
+      if (job.attempts >= MAX_ATTEMPTS) {
+        job.status = 'failed';
+        console.error(`Payout ${job.key} failed after ${job.attempts} attempts:`, e.message);
+      } else {
+        job.status = 'pending';
+        job.nextAttemptAt = Date.now() + Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * 2 ** (job.attempts - 1));
+        console.error(`Payout ${job.key} attempt ${job.attempts} failed:`, e.message);
+      }
+      this._save(job);
+    }
+  }
+
+  async _checkPrevious(job) {
+    const { value } = await this.connection.getSignatureStatus(job.signature, { searchTransactionHistory: true });
+    if (value && !value.err && (value.confirmationStatus === 'confirmed' || value.confirmationStatus === 'finalized')) {
+      return 'landed';
+    }
+    if (value && !value.err) return 'in_flight';
+    if (!value) {
+      const height = await this.connection.getBlockHeight('confirmed');
+      if (height <= job.lastValidBlockHeight) return 'in_flight';
+    }
+    return 'expired';
+  }
+
+  async _send(job) {
+    const { blockhash, lastValidBlockHeight } = await this.connection.getLatestBlockhash('confirmed');
+    const tx = new Transaction({ feePayer: this.escrowKeypair.publicKey, blockhash, lastValidBlockHeight }).add(
+      SystemProgram.transfer({
+        fromPubkey: this.escrowKeypair.publicKey,
+        toPubkey: new PublicKey(job.to),
+        lamports: Math.floor(job.amount * LAMPORTS_PER_SOL),
+      })
+    );
+    tx.sign(this.escrowKeypair);
+
+    job.status = 'sending';
+    job.signature = bs58.encode(tx.signature);
+    job.lastValidBlockHeight = lastValidBlockHeight;
+    await this.store.savePayout(job);
+
+    await this.connection.sendRawTransaction(tx.serialize());
+    const { value } = await this.connection.confirmTransaction(
+      { signature: job.signature, blockhash, lastValidBlockHeight }, 'confirmed'
+    );
+    if (value && value.err) throw new Error('Transaction failed: ' + JSON.stringify(value.err));
+  }
+
+  _settle(job) {
+    job.status = 'settled';
+    job.settledAt = Date.now();
+    job.lastError = null;
+    console.log(`Sent ${job.amount} SOL to ${job.to} (${job.key}) — tx: ${job.signature}`);
+    this._save(job);
+  }
+}
+
+module.exports = { PayoutQueue };
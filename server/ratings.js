@@ -0,0 +1,110 @@
+const store = require('./store');
+
+// Elo ratings, one per wallet per game type. Every wallet starts at
+// INITIAL_RATING and moves faster over its first PROVISIONAL_GAMES so a
+// new player finds their level quickly.
+//
+// Games with more than two sides are scored as a round robin between the
+// sides: the winning side beat each of the others, and the sides that lost
+// drew with one another. A side's rating is the average of its seats'.
+const INITIAL_RATING = 1200;
+const PROVISIONAL_GAMES = 20;
+const K_PROVISIONAL = 40;
+const K_ESTABLISHED = 20;
+const LEADERBOARD_LIMIT = 100;
+
+const ratings = new Map();
+
+function key(gameType, wallet) {
+  return gameType + ':' + wallet;
+}
+
+async function load() {
+  const saved = await store.loadRatings();
+  for (const entry of saved) ratings.set(key(entry.gameType, entry.walletAddress), entry);
+  if (saved.length) console.log(`Loaded ${saved.length} ratings`);
+}
+
+function get(gameType, wallet) {
+  return ratings.get(key(gameType, wallet)) || {
+    gameType, walletAddress: wallet, displayName: null,
+    rating: INITIAL_RATING, games: 0, wins: 0, losses: 0, draws: 0, updatedAt: null,
+  };
+}
+
+function rating(gameType, wallet) {
+  return wallet ? get(gameType, wallet).rating : null;
+}
+
+function expectedScore(rating, against) {
+  return 1 / (1 + Math.pow(10, (against - rating) / 400));
+}
+
+// Rates a finished game. `seats` holds each seat's walletAddress and
+// displayName, `teams` each seat's side and `winners` the winning seats
+// (empty for a draw). Games with an unrated seat (a bot, or the same
+// wallet twice) are left out. Returns each seat's { before, after }, or
+// null if the game was not rated.
+function recordResult(gameType, seats, teams, winners) {
+  const wallets = seats.map((seat) => seat && seat.walletAddress);
+  if (wallets.some((w) => !w) || new Set(wallets).size !== wallets.length) return null;
+  const sides = [...new Set(teams)];
+  if (sides.length < 2) return null;
+
+  const before = wallets.map((w) => get(gameType, w));
+  const sideRating = (side) => {
+    const members = before.filter((_, idx) => teams[idx] === side);
+    return members.reduce((sum, entry) => sum + entry.rating, 0) / members.length;
+  };
+  const winningSide = winners.length ? teams[winners[0]] : null;
+  const score = (side, other) => {
+    if (side === winningSide) return 1;
+    if (other === winningSide) return 0;
+    return 0.5;
+  };
+
+  const now = Date.now();
+  return before.map((entry, idx) => {
+    const side = teams[idx];
+    let delta = 0;
+    for (const other of sides) {
+      if (other === side) continue;
+      delta += score(side, other) - expectedScore(sideRating(side), sideRating(other));
+    }
+    const k = entry.games < PROVISIONAL_GAMES ? K_PROVISIONAL : K_ESTABLISHED;
+    const after = {
+      ...entry,
+      displayName: seats[idx].displayName || entry.displayName,
+      rating: Math.round(entry.rating + k * delta / (sides.length - 1)),
+      games: entry.games + 1,
+      wins: entry.wins + (winningSide === side ? 1 : 0),
+      losses: entry.losses + (winningSide !== null && winningSide !== side ? 1 : 0),
+      draws: entry.draws + (winningSide === null ? 1 : 0),
+      updatedAt: now,
+    };
+    ratings.set(key(gameType, after.walletAddress), after);
+    store.saveRating(after);
+    return { before: entry.rating, after: after.rating };
+  });
+}
+
+function leaderboard(gameType, limit = LEADERBOARD_LIMIT) {
+  return [...ratings.values()]
+    .filter((entry) => entry.gameType === gameType && entry.games > 0)
+    .sort((a, b) => b.rating - a.rating || b.games - a.games)
+    .slice(0, Math.min(limit, LEADERBOARD_LIMIT))
+    .map((entry, idx) => ({ rank: idx + 1, ...publicEntry(entry) }));
+}
+
+function forWallet(wallet) {
+  return [...ratings.values()]
+    .filter((entry) => entry.walletAddress === wallet)
+    .map(publicEntry);
+}
+
+function publicEntry(entry) {
+  const { gameType, walletAddress, displayName, rating, games, wins, losses, draws } = entry;
+  return { gameType, walletAddress, displayName, rating, games, wins, losses, draws, provisional: games < PROVISIONAL_GAMES };
+}
+
+module.exports = { INITIAL_RATING, load, rating, recordResult, leaderboard, forWallet };
@@ -0,0 +1,25 @@
+const games = require('./games');
+
+// Rebuilds a finished match from its seed and action log, producing one
+// frame per recorded entry. `seat` chooses whose view the frames show;
+// without it the spectator view is used. Forfeits decided by the server
+// (disconnects) are not engine actions, so the last frame may still show
+// the game in progress — match.result has the final word.
+function replay(match, seat = null) {
+  if (!games.has(match.gameType)) throw new Error('Unknown game: ' + match.gameType);
+  const game = games.create(match.gameType);
+  game.setup(match.seats.length, match.options || {}, match.seed);
+
+  const view = () => structuredClone(seat === null ? game.getSpectatorState() : game.getStateForPlayer(seat));
+  const frames = [{ step: 0, entry: null, state: view() }];
+  match.actions.forEach((entry, i) => {
+    const result = game.applyLogEntry(entry);
+    if (!result || result.error) {
+      throw new Error(`Replay diverged at step ${i + 1}: ${result ? result.error : 'no move'}`);
+    }
+    frames.push({ step: i + 1, entry, state: view() });
+  });
+  return frames;
+}
+
+module.exports = { replay };
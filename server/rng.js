@@ -0,0 +1,14 @@
+const crypto = require('crypto');
+
+// Counter-mode SHA-256: the n-th draw is a pure function of (seed, n), so a
+// game rebuilt from its seed and action log makes exactly the same choices.
+function randomAt(seed, counter) {
+  const digest = crypto.createHash('sha256').update(seed + ':' + counter).digest();
+  return digest.readUIntBE(0, 6) / 2 ** 48;
+}
+
+function newSeed() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+module.exports = { randomAt, newSeed };
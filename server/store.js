@@ -0,0 +1,114 @@
+// Crash-safe persistence for the match queue, live rooms, redeemed bet
+// signatures, owed payouts, finished match records and player ratings. Backed by Firestore
+// when credentials are configured; without them every call resolves
+// immediately and state lives in memory only.
+const COLLECTIONS = {
+  queue: 'match_queue',
+  rooms: 'rooms',
+  signatures: 'used_signatures',
+  payouts: 'payouts',
+  matches: 'matches',
+  ratings: 'ratings',
+};
+
+let db = null;
+if (process.env.FIREBASE_SERVICE_ACCOUNT || process.env.GOOGLE_APPLICATION_CREDENTIALS) {
+  ({ db } = require('./firebase'));
+} else {
+  console.log('WARNING: No Firebase credentials set. Queue, rooms, signatures, payouts, match records and ratings are not persisted across restarts!');
+}
+
+// Writes to the same document are chained so a late snapshot can never
+// overwrite a later delete (or vice versa).
+const pending = new Map();
+
+function enqueueWrite(collection, id, op) {
+  if (!db) return Promise.resolve();
+  const path = collection + '/' + id;
+  const prev = pending.get(path) || Promise.resolve();
+  const next = prev
+    .then(() => op(db.collection(collection).doc(id)))
+    .catch((e) => console.error(`Persistence error (${path}):`, e.message));
+  pending.set(path, next);
+  next.then(() => { if (pending.get(path) === next) pending.delete(path); });
+  return next;
+}
+
+function saveQueueEntry(key, entry) {
+  return enqueueWrite(COLLECTIONS.queue, key, (doc) => doc.set({ ...entry, key, updatedAt: Date.now() }));
+}
+
+function removeQueueEntry(key) {
+  return enqueueWrite(COLLECTIONS.queue, key, (doc) => doc.delete());
+}
+
+function saveRoom(snapshot) {
+  return enqueueWrite(COLLECTIONS.rooms, snapshot.id, (doc) => doc.set({ ...snapshot, updatedAt: Date.now() }));
+}
+
+function removeRoom(roomId) {
+  return enqueueWrite(COLLECTIONS.rooms, roomId, (doc) => doc.delete());
+}
+
+function markSignatureUsed(signature, data) {
+  return enqueueWrite(COLLECTIONS.signatures, signature, (doc) => doc.set({ ...data, usedAt: Date.now() }));
+}
+
+async function isSignatureUsed(signature) {
+  if (!db) return false;
+  const snap = await db.collection(COLLECTIONS.signatures).doc(signature).get();
+  return snap.exists;
+}
+
+function savePayout(job) {
+  return enqueueWrite(COLLECTIONS.payouts, job.key, (doc) => doc.set({ ...job, updatedAt: Date.now() }));
+}
+
+async function loadPayouts() {
+  if (!db) return [];
+  const snap = await db.collection(COLLECTIONS.payouts).where('status', 'in', ['pending', 'sending', 'failed']).get();
+  return snap.docs.map((d) => d.data());
+}
+
+function saveMatch(record) {
+  return enqueueWrite(COLLECTIONS.matches, record.id, (doc) => doc.set({ ...record, updatedAt: Date.now() }));
+}
+
+async function loadMatch(id) {
+  if (!db) return null;
+  const snap = await db.collection(COLLECTIONS.matches).doc(id).get();
+  return snap.exists ? snap.data() : null;
+}
+
+function saveRating(entry) {
+  return enqueueWrite(COLLECTIONS.ratings, entry.gameType + ':' + entry.walletAddress, (doc) => doc.set(entry));
+}
+
+async function loadRatings() {
+  if (!db) return [];
+  const snap = await db.collection(COLLECTIONS.ratings).get();
+  return snap.docs.map((d) => d.data());
+}
+
+async function loadSnapshot() {
+  if (!db) return { queue: [], rooms: [] };
+  const [queueSnap, roomSnap] = await Promise.all([
+    db.collection(COLLECTIONS.queue).get(),
+    db.collection(COLLECTIONS.rooms).get(),
+  ]);
+  return {
+    queue: queueSnap.docs.map((d) => d.data()),
+    rooms: roomSnap.docs.map((d) => d.data()),
+  };
+}
+
+module.exports = {
+  enabled: !!db,
+  saveQueueEntry, removeQueueEntry,
+  saveRoom, removeRoom,
+  markSignatureUsed, isSignatureUsed,
+  savePayout, loadPayouts,
+  saveMatch, loadMatch,
+  saveRating, loadRatings,
+  loadSnapshot,
+};